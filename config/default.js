@@ -12,6 +12,57 @@ module.exports = {
 
         // The symbol that borrowing will be monitor on
         symbol: 'fUSD',
+
+        // Where to connect to. Change these to point the bot at the local simulator (npm run sim),
+        // eg 'ws://localhost:8042/ws/2' and 'http://localhost:8042'
+        wsUrl: 'wss://api.bitfinex.com/ws/2',
+        restUrl: 'https://api.bitfinex.com',
+
+        // The funding order book to track. Precision is one of P0 (most detailed) to P4 (most aggregated)
+        // and length is the number of levels on each side (1, 25 or 100)
+        bookPrecision: 'P0',
+        bookLength: '100',
+
+        // Also track the raw book (every individual offer, with its id). Lets the bot log exactly which offers
+        // a new bid would match. rawBookLength is the number of offers (25 or 100)
+        rawBook: false,
+        rawBookLength: '100',
+
+        // Ask the exchange for order book checksums and check our copy of the book against them.
+        // If they ever differ, the book is fetched again, and no decisions are made until it arrives.
+        // Off by default, as the way the checksum is worked out hasn't been checked against the real exchange yet
+        bookChecksum: false,
+
+        // If nothing (not even a heartbeat) arrives for this long (ms) the connection is assumed dead and is restarted
+        watchdogTimeout: 30000,
+
+        // Reconnects wait reconnectDelay (ms), doubling after each failed attempt, up to reconnectMaxDelay.
+        // The delay goes back to reconnectDelay once a connection has stayed up for reconnectStableAfter (ms)
+        reconnectDelay: 1000,
+        reconnectMaxDelay: 60000,
+        reconnectStableAfter: 60000,
+
+        // Follow the public funding ticker (FRR, best bid and ask, volume) and trades for the symbol
+        ticker: true,
+        trades: true,
+
+        // How long (ms) to wait for the exchange to confirm a new or cancelled offer before giving up on it
+        requestTimeout: 10000,
+
+        // REST API rate limits, in requests per minute. Requests are held back to stay under these.
+        // Keys are path prefixes (eg '/v2/auth/w/funding/close'), the longest match wins, and anything else uses 'default'
+        restRateLimits: {
+            default: 90,
+        },
+
+        // How many times to retry a REST call that failed because of the network, the exchange or rate limiting
+        // and the delay (ms) before the first retry. The delay doubles each time (and is 10x longer when rate limited)
+        restRetries: 3,
+        restRetryDelay: 1000,
+
+        // Where to keep the last nonce used to authenticate, so it always goes up, even after a restart.
+        // Instances sharing an API key should share this file too
+        nonceFile: 'data/nonce.json',
     },
 
     // How often should an update be logged to the console
@@ -36,6 +87,102 @@ module.exports = {
     // Ideally have this true the first time you run it, so you can see what would happen
     dryRun: true,
 
+    // Only used with dryRun. When true, offers are filled against the live order book instead of being ignored
+    // and the bot keeps a virtual set of borrows (starting from your real ones), so you can see how a strategy
+    // would have done. The interest paid is logged alongside what your real account is paying
+    paperTrade: false,
+
+    // How far back (ms) to look at public trades when working out the rate funding is actually trading at
+    tradeWindow: 60 * 60 * 1000,
+
+    // How often (in ms) to check borrows and offers against the REST API, and correct any drift
+    // in what the bot thinks the account looks like. Set to 0 to disable
+    reconcileInterval: 10 * 60 * 1000,
+
+    // How new borrowing is requested
+    borrow: {
+        // 'LIMIT' to borrow at the rate the strategy works out, or 'FRRDELTAVAR' / 'FRRDELTAFIX'
+        // to borrow at the FRR plus frrDelta (a daily rate, eg 0.00001, or 0 to borrow at FRR)
+        type: 'LIMIT',
+        frrDelta: 0,
+
+        // How many days to borrow for (2 to 120), or 'auto' to pick the longest period, up to maxPeriod,
+        // that the order book has enough offers for at the rate wanted
+        period: 2,
+        maxPeriod: 30,
+
+        // Keep our offers out of the public order book
+        hidden: false,
+    },
+
+    // Hard limits every new borrow must pass, whatever the strategy wants. Anything over them is refused,
+    // logged and notified. Set any of them to 0 to turn it off
+    policy: {
+        // The most to pay for new borrowing (APR)
+        maxApr: 50,
+
+        // The most to have borrowed in total, including the new borrow and what is left to fill on open offers
+        // (in the borrowed currency). Replacing borrowing means borrowing the new before returning the old, so leave room for that
+        maxOutstanding: 0,
+
+        // The most interest to pay a day on everything borrowed, counted the same way (in the borrowed currency)
+        dailyBudget: 0,
+    },
+
+    // Stops the bot changing the account if it starts doing far more than it should (eg a bug sends it round in a loop).
+    // If there are more than maxBorrows, maxReturns or maxCancels in any window (ms), borrowing and returns stop,
+    // as if dryRun were on, until the bot is restarted. Set a limit to 0 to turn it off.
+    // Creating killFile (or sending the bot SIGUSR2) does the same by hand. Delete it (or send SIGUSR2 again) to carry on
+    breaker: {
+        window: 60 * 60 * 1000,
+        maxBorrows: 60,
+        maxReturns: 200,
+        maxCancels: 200,
+        killFile: 'data/STOP',
+    },
+
+    // How the bot tells you something needs attention. Notifications are always logged. If webhookUrl is set
+    // they are also posted to it as JSON ({ text: '...' }), eg a Slack incoming webhook.
+    // The same notification is not repeated for repeatAfter ms
+    notify: {
+        webhookUrl: '',
+        repeatAfter: 15 * 60 * 1000,
+    },
+
+    // Only replace borrowing when it pays for itself. The saving is the interest saved until each old borrow would have
+    // expired anyway, less the minimum interest charged on the new funding (minChargeHours), with the new rate taken as
+    // slippage (APR) worse than hoped. Replacements saving no more than minSaving (in the borrowed currency) are skipped
+    breakEven: {
+        enabled: true,
+        minChargeHours: 1,
+        slippage: 0,
+        minSaving: 0,
+    },
+
+    // Before returning borrowing, check that what is left still covers the funding open positions need
+    // (beyond the margin wallet balance) plus buffer. Returns that would leave them short are held back
+    // until more borrowing arrives, so Bitfinex doesn't cover the gap by borrowing at FRR.
+    // What is still to fill on our offers counts as borrowed. Set countUnfilled to false to only count borrowing that has arrived
+    returnCheck: {
+        enabled: true,
+        buffer: 0,
+        countUnfilled: true,
+    },
+
+    // Return borrowing beyond what open positions need (eg unused loans, or what is left after a position is reduced),
+    // most expensive first. Checks every interval (ms). Only acts once the surplus has been over startAbove for the
+    // whole grace period (ms), and never returns borrows younger than that, in case a position is about to use them.
+    // It then returns down to keep. startAbove and keep are shares of what positions need (0.1 is 10%).
+    // Surplus under minAmount is left alone
+    reaper: {
+        enabled: false,
+        interval: 60 * 1000,
+        grace: 10 * 60 * 1000,
+        startAbove: 0.1,
+        keep: 0.03,
+        minAmount: 150,
+    },
+
     // Should wallet balance and position summaries be shown in output
     // set to false to skip showing the wallet and position summaries
     showWalletPosition: true,
@@ -44,8 +191,21 @@ module.exports = {
     // 'replace' - look for new funding offers that are cheaper and try and take them
     // 'target' - Aim to get all borrowing under a target rate, and then move to a cheaper rate.
     // Target is more stable. It replaces very expensive funding quickly and then works the rest down gradually.
+    // 'lock' - When rates are low compared to recent history, replace expensive short borrows with longer ones
+    // 'ladder' - Like target, but spreads the borrowing over several resting offers at staggered rates
+    // 'composite' - Runs target and replace together, so cheap offers are grabbed while target works the rest down
+    // It can also be the path to your own strategy module (eg './my-strategy.js'), which should export a subclass of App
     strategy: 'target',
 
+    replace: {
+        // Used by the 'replace' strategy. Large replacements are done in slices, so a single offer doesn't have to reach
+        // deep into the book. A slice is at most maxSlice (0 for no limit) and at most sliceShare (0 to 1) of what is
+        // on offer at a better rate. The borrows in each slice are returned before the next starts, sliceCooldown (ms) later
+        maxSlice: 0,
+        sliceShare: 1,
+        sliceCooldown: 30 * 1000,
+    },
+
     target: {
         // The target rates to reach for 'target' mode. These are floats and are annual percentage amount
         // so 8.5 is 8.5% per year, or 0.023287% per day (what you see on Bitfinex), or 0.00023287 as the raw rate used in the API
@@ -53,5 +213,83 @@ module.exports = {
         // initially this can go quickly as the funding is likely to be available. As you get to cheaper rates, it becomes less likely
         // to get your bids filled and you'll essentially end up with the best possible rates at the time
         rates: [10, 9, 8.75, 8.5, 8.4, 8.3, 8.2, 8.1, 8, 7.9, 7.5, 7, 6.5],
-    }
+
+        // 'fixed' to use the rates above, or 'frr' or 'history' to work the ladder out each interval from the market.
+        // In 'frr' mode, offsets are percentages below the reference rate, which is the live FRR ('frr')
+        // or the rate funding has recently traded at ('traded'). eg with FRR at 10% APR, an offset of 5 targets 9.5% APR
+        mode: 'fixed',
+        relativeTo: 'frr',
+        offsets: [5, 10, 15, 20],
+
+        // In 'history' mode, the targets are these percentiles of the best offer and traded rates seen over the last historyDays.
+        // Rates are sampled every sampleInterval ms and saved to historyFile (defaults to data/rate-history-<symbol>.json),
+        // so they survive restarts. No targets are set until there are minSamples rates
+        percentiles: [90, 75, 50, 25],
+        historyDays: 7,
+        sampleInterval: 60 * 1000,
+        minSamples: 60,
+
+        // Generated targets are never below the floor or above the ceiling (APR)
+        floor: 3,
+        ceiling: 30,
+    },
+
+    ladder: {
+        // Uses the target settings above to pick the target rate, then splits the amount to borrow into rungs.
+        // Each rung takes a share of the amount, at offset APR below the target (eg 0.2 is 0.2% APR cheaper)
+        rungs: [
+            { share: 0.4, offset: 0 },
+            { share: 0.3, offset: 0.2 },
+            { share: 0.2, offset: 0.4 },
+            { share: 0.1, offset: 0.6 },
+        ],
+
+        // The rungs are left resting on the book until the target rate moves by more than this (APR)
+        repriceThreshold: 0.25,
+    },
+
+    lock: {
+        // Rates are locked in when the best offer is at or below this percentile of the best rates seen over the last historyHours
+        percentile: 20,
+        historyHours: 24,
+
+        // How often (ms) the best rate is sampled, and how many samples are needed before anything is locked in
+        sampleInterval: 60 * 1000,
+        minSamples: 60,
+
+        // Borrows of at least minPeriod days count as locked. New borrowing is for the longest period up to maxPeriod
+        // that the book has enough offers for
+        minPeriod: 7,
+        maxPeriod: 30,
+
+        // The most (0 to 1) of all borrowing that can be locked in at once
+        maxLockedShare: 0.5,
+    },
+
+    // Settings for the local Bitfinex simulator (npm run sim). Not used by the bot itself
+    sim: {
+        // port for both the websocket and the REST api
+        port: 8042,
+
+        // the daily rate the simulated order book is built around
+        rate: 0.0002,
+
+        // how often (ms) the simulated order book changes
+        tickInterval: 2000,
+
+        // offers smaller than this are rejected, like the real exchange does
+        minOfferSize: 150,
+
+        // chance (0 to 1) of a book update being 'lost', to see the book checksums catch it (turn on bitfinex.bookChecksum)
+        dropUpdates: 0,
+
+        // how often (ms) to drop all connections, to see the bot reconnect. 0 to never do it
+        disconnectInterval: 0,
+
+        // chance (0 to 1) of a REST call failing with a 503, to see the bot retry
+        restFailures: 0,
+
+        // start the last seen nonce this far (ms) ahead of the clock, to see the bot recover from 'nonce: small'
+        nonceAhead: 0,
+    },
 }
@@ -3,10 +3,23 @@ const axios = require('axios')
 const config = require('../util/config')
 const BaseSocket = require('./bitfinex-socket')
 const Lock = require('../util/lock')
+const TokenBucket = require('../util/token-bucket')
+const NonceProvider = require('../util/nonce')
+const CircuitBreaker = require('../util/circuit-breaker')
+const { NonceError, NotFoundError, RateLimitError, RequestError, classifyError } = require('./rest-errors')
+const PaperTrader = require('./paper-trader')
+const OrderBook = require('./order-book')
 const log = require('../util/log')('bitfinex-auth')
 
 // https://docs.bitfinex.com/docs/ws-general
 
+// conf flag to have the exchange send order book checksums
+const OB_CHECKSUM = 131072
+
+// The kinds of funding offer we can make, and the flag to keep an offer out of the public book
+const offerTypes = ['LIMIT', 'FRRDELTAVAR', 'FRRDELTAFIX']
+const FLAG_HIDDEN = 64
+
 class PrivateSocket extends BaseSocket {
     constructor() {
         super()
@@ -16,22 +29,92 @@ class PrivateSocket extends BaseSocket {
         this.secret = config.get('bitfinex.secret')
         this.loggedIn = false
 
+        // Nonces for both websocket auth and REST calls, always moving forward (even across restarts)
+        this.nonce = new NonceProvider(config.get('bitfinex.nonceFile', 'data/nonce.json'))
+        this.authNonceRetries = 0
+
+        // Where to connect to (can be pointed at the simulator)
+        this.wsUrl = config.get('bitfinex.wsUrl', 'wss://api.bitfinex.com/ws/2')
+        this.restUrl = config.get('bitfinex.restUrl', 'https://api.bitfinex.com')
+
+        // Order book depth and precision (P0 to P4)
+        this.bookPrecision = config.get('bitfinex.bookPrecision', 'P0')
+        this.bookLength = config.get('bitfinex.bookLength', '100')
         this.orderBookChannelId = -1
 
+        // Ask the exchange for book checksums, and keep our own copy of the book to check them against
+        this.bookChecksum = config.get('bitfinex.bookChecksum', false)
+        this.checksumBook = new OrderBook()
+        this.bookResyncing = false
+
+        // Optionally track the raw book too (every individual offer)
+        this.rawBook = !!config.get('bitfinex.rawBook')
+        this.rawBookLength = config.get('bitfinex.rawBookLength', '100')
+        this.rawBookChannelId = -1
+        this.rawOfferIds = new Set()
+
+        // Public funding ticker (FRR, bid / ask, volume) and trades
+        this.ticker = !!config.get('bitfinex.ticker', true)
+        this.tickerChannelId = -1
+        this.trades = !!config.get('bitfinex.trades', true)
+        this.tradesChannelId = -1
+
         // HTTP Locking
         this.apiLock = new Lock()
+
+        // REST rate limits (requests per minute, by path prefix) and retries
+        this.restRateLimits = config.get('bitfinex.restRateLimits', { default: 90 })
+        this.restBuckets = new Map()
+        this.restRetries = config.get('bitfinex.restRetries', 3)
+        this.restRetryDelay = config.get('bitfinex.restRetryDelay', 1000)
+
+        // Requests sent over the socket, waiting for a notification to say how they went
+        this.pendingRequests = { 'fon-req': [], 'foc-req': [] }
+        this.requestTimeout = config.get('bitfinex.requestTimeout', 10000)
+
+        // In dry run, we can simulate fills against the live book instead of doing nothing
+        this.paper = this.dryRun && config.get('paperTrade') ? new PaperTrader(this) : null
+
+        // Stops account changes if the bot starts doing far more than it should, or the kill switch is on
+        this.breaker = new CircuitBreaker()
+        this.breaker.on('halt', (reason) => this.emit('halted', reason))
+        this.breaker.on('resume', () => this.emit('resumed'))
     }
 
     /**
      * Make a request to borrow funds
+     * Resolves with the id of the new offer, or rejects with the reason the exchange gave
+     * In dry run mode, resolves with null (or the paper offer id when paper trading)
      * @param {*} amount
-     * @param {*} rate
-     * @returns
+     * @param {*} rate - the limit rate, or the offset from FRR for the FRRDELTA types
+     * @param {*} options - { type: 'LIMIT' | 'FRRDELTAVAR' | 'FRRDELTAFIX', period: days (2-120), hidden: bool, flags: raw flags }
+     * @returns {Promise}
      */
-    borrowFunds(amount, rate) {
+    async borrowFunds(amount, rate, options = {}) {
+        const type = options.type ?? 'LIMIT'
+        const period = options.period ?? 2
+        const flags = (options.flags ?? 0) | (options.hidden ? FLAG_HIDDEN : 0)
+
+        if (!offerTypes.includes(type)) {
+            throw new Error(`Unknown offer type ${type}`)
+        }
+
+        if (!Number.isInteger(period) || period < 2 || period > 120) {
+            throw new Error(`Period must be a whole number of days from 2 to 120 (not ${period})`)
+        }
+
         if (this.dryRun) {
+            if (this.paper) {
+                return this.paper.borrowFunds(amount, rate, { type, period, flags })
+            }
+
             log('DRYRUN: not requesting new borrowing')
-            return
+            return null
+        }
+
+        if (!this.breaker.allow('borrow')) {
+            log(`HALTED (${this.breaker.haltedBecause()}): not requesting new borrowing`)
+            return null
         }
 
         // Construct a message
@@ -40,74 +123,245 @@ class PrivateSocket extends BaseSocket {
             'fon',
             null,
             {
-                type: 'LIMIT',
+                type,
                 symbol: this.symbol,
                 amount: `${-amount}`,
                 rate: `${rate}`,
-                period: 2,
-                flags: 0,
+                period,
+                flags,
             },
         ]
 
+        const ack = this.waitForNotification('fon-req', (offer) => offer && Math.abs(offer[5] + amount) < 0.000001)
         this.sendSocketMsg(msg)
+
+        const offer = await ack
+        return offer[0]
     }
 
     /**
      * Returns the listed borrows (closing the funding borrowed)
-     * @param {*} ids
+     * Borrows that have already gone are skipped. Anything the exchange is struggling with gets one more
+     * go at the end. An error that means nothing else will work either (eg bad keys) stops the lot,
+     * and is thrown once the results so far have been logged.
+     * While account changes are halted nothing is returned, and the borrows are listed as deferred
+     * @param {*} borrows
+     * @returns { returned: [], skipped: [], failed: [], deferred: [] }
      */
     async returnManyBorrows(borrows) {
+        const result = { returned: [], skipped: [], failed: [], deferred: [] }
+        let retry = []
+
+        const attempt = async (b, canRetry) => {
+            try {
+                if (await this.returnBorrow(b)) {
+                    result.returned.push(b)
+                } else {
+                    result.deferred.push(b)
+                }
+            } catch (err) {
+                if (err instanceof NotFoundError) {
+                    log(`Borrow ${b.id} has already gone - skipping it`)
+                    result.skipped.push(b)
+                } else if (err.retryable && canRetry) {
+                    retry.push(b)
+                } else if (err.retryable || err instanceof RequestError) {
+                    log(`Unable to return borrow ${b.id} - ${err.message}`)
+                    result.failed.push(b)
+                } else {
+                    log(`Stopped returning borrows - ${err.message}`)
+                    result.failed.push(b)
+                    throw err
+                }
+            }
+        }
+
         for (const b of borrows) {
-            await this.returnBorrow(b)
+            await attempt(b, true)
+        }
+
+        if (retry.length > 0) {
+            log(`Trying ${retry.length} borrows again...`)
+            const again = retry
+            retry = []
+            for (const b of again) {
+                await attempt(b, false)
+            }
         }
+
+        return result
     }
 
     /**
-     * Returns the listed borrows (closing the funding borrowed)
-     * @param {*} ids
+     * Why account changes are halted (by the circuit breaker or kill switch), or null if they aren't
+     * @returns
+     */
+    haltedBecause() {
+        return this.dryRun ? null : this.breaker.haltedBecause()
+    }
+
+    /**
+     * Returns a single borrow (closing the funding borrowed)
+     * Rejects with one of the errors from rest-errors if the exchange won't do it
+     * @param {*} borrow
+     * @returns {Promise} true once returned, false if account changes are halted
      */
     async returnBorrow(borrow) {
         if (this.dryRun) {
+            if (this.paper) {
+                if (!this.paper.returnBorrow(borrow)) {
+                    throw new NotFoundError(`No paper borrow with id ${borrow.id}`)
+                }
+
+                return true
+            }
+
             log(`DRYRUN: not returning loan ${borrow.id}`)
             return true
         }
 
-        try {
-            await this.apiLock.runLocked(async () => {
-                // https://docs.bitfinex.com/reference/rest-auth-funding-close
-                // /v2/auth/w/funding/close
-                log(`==Request to return borrowing id ${borrow.id} for ${borrow.amount.toFixed(4)} ${borrow.status}`)
-                await this.httpCall('post', '/v2/auth/w/funding/close', { id: borrow.id })
-                return true
-            })
-        } catch (err) {
-            // Just eat the error and log it
-            log(`Error trying to return borrowing`, borrow)
+        if (!this.breaker.allow('return')) {
+            log(`HALTED (${this.breaker.haltedBecause()}): not returning loan ${borrow.id}`)
             return false
         }
+
+        return this.apiLock.runLocked(async () => {
+            // https://docs.bitfinex.com/reference/rest-auth-funding-close
+            // /v2/auth/w/funding/close
+            log(`==Request to return borrowing id ${borrow.id} for ${borrow.amount.toFixed(4)} ${borrow.status}`)
+            await this.httpCall('post', '/v2/auth/w/funding/close', { id: borrow.id })
+            return true
+        })
+    }
+
+    /**
+     * Fetch the current funding state of the account over REST
+     * (borrows being used, borrows not being used, and open offers)
+     * @returns {Promise} { borrows: [], orders: [] }
+     */
+    async fetchFundingState() {
+        return this.apiLock.runLocked(async () => {
+            // https://docs.bitfinex.com/reference/rest-auth-funding-credits
+            const credits = await this.httpCall('post', `/v2/auth/r/funding/credits/${this.symbol}`)
+            const loans = await this.httpCall('post', `/v2/auth/r/funding/loans/${this.symbol}`)
+            const offers = await this.httpCall('post', `/v2/auth/r/funding/offers/${this.symbol}`)
+
+            return {
+                borrows: credits.map((f) => this.rawToBorrow(f, 'using')).concat(loans.map((f) => this.rawToBorrow(f, 'unused'))),
+                orders: offers.map((o) => this.rawToFundingOrder(o)),
+            }
+        })
     }
 
     /**
      * Cancels a list of offers, given an array of order ids
+     * Resolves with the ids once all are cancelled, or rejects with the first error from the exchange
      * @param {*} ids
-     * @returns
+     * @returns {Promise}
      */
-    cancelOffers(ids) {
+    async cancelOffers(ids) {
         if (this.dryRun) {
+            if (this.paper) {
+                this.paper.cancelOffers(ids)
+                return ids
+            }
+
             log('DRYRUN: not cancelling offers')
-            return
+            return ids
         }
 
         if (ids.length === 0) {
-            return
+            return ids
         }
 
+        // Cancels are always allowed (even when halted), but too many still trips the breaker
+        this.breaker.record('cancel', ids.length)
+
         // For each id, send a message to cancel it
         log(`Cancelling ${ids.length} Offers...`)
-        ids.forEach((id) => {
-            const msg = [0, 'foc', null, { id }]
-            this.sendSocketMsg(msg)
+        return Promise.all(ids.map((id) => this.cancelOffer(id)))
+    }
+
+    /**
+     * Cancel a single offer
+     * Resolves with the id once cancelled, or rejects with the reason the exchange gave
+     * @param {*} id
+     * @returns {Promise}
+     */
+    async cancelOffer(id) {
+        const ack = this.waitForNotification('foc-req', (offer) => offer && offer[0] === id)
+        this.sendSocketMsg([0, 'foc', null, { id }])
+
+        await ack
+        return id
+    }
+
+    /**
+     * Returns a promise that settles when the exchange sends a notification about a request
+     * The exchange doesn't echo an id for funding requests, so the first pending request that
+     * matches the offer in the notification is picked, or the oldest one if none match
+     * @param {*} type - eg fon-req
+     * @param {*} match - function given the offer array from the notification, returns true if it is for this request
+     * @returns {Promise}
+     */
+    waitForNotification(type, match) {
+        return new Promise((resolve, reject) => {
+            const request = { match, resolve, reject }
+            request.timer = setTimeout(() => {
+                this.pendingRequests[type] = this.pendingRequests[type].filter((r) => r !== request)
+                reject(new Error(`No response from the exchange to ${type}`))
+            }, this.requestTimeout)
+
+            this.pendingRequests[type].push(request)
+        })
+    }
+
+    /**
+     * A notification has arrived. If it is about one of our requests, settle it
+     * @param {*} n
+     */
+    onNotification(n) {
+        const type = n[1]
+        const offer = n[4]
+        const status = n[6]
+        const text = n[7]
+
+        const pending = this.pendingRequests[type]
+        if (!pending) {
+            log('Notification', n)
+            return
+        }
+
+        if (pending.length === 0) {
+            log(`Unexpected ${type} notification: ${status} ${text}`)
+            return
+        }
+
+        const request = pending.find((r) => r.match(offer)) ?? pending[0]
+        this.pendingRequests[type] = pending.filter((r) => r !== request)
+        clearTimeout(request.timer)
+
+        if (status === 'SUCCESS') {
+            request.resolve(offer)
+        } else {
+            request.reject(new Error(text))
+        }
+    }
+
+    /**
+     * Anything still waiting for a response is never going to get one
+     * @param {*} e
+     */
+    async onClose(e) {
+        Object.keys(this.pendingRequests).forEach((type) => {
+            this.pendingRequests[type].forEach((r) => {
+                clearTimeout(r.timer)
+                r.reject(new Error(`Connection lost before ${type} was confirmed`))
+            })
+            this.pendingRequests[type] = []
         })
+
+        await super.onClose(e)
     }
 
     /**
@@ -115,7 +369,7 @@ class PrivateSocket extends BaseSocket {
      */
     getAddress() {
         // For private channels:
-        return 'wss://api.bitfinex.com/ws/2'
+        return this.wsUrl
     }
 
     /**
@@ -124,10 +378,15 @@ class PrivateSocket extends BaseSocket {
      */
     login() {
         // authenticate with the server
-        const authNonce = `${this.nextMsgId()}`
+        const authNonce = this.nonce.next()
         const authPayload = `AUTH${authNonce}`
         const authSig = this.signMessage(authPayload)
 
+        // turn on order book checksums
+        if (this.bookChecksum) {
+            this.sendSocketMsg({ event: 'conf', flags: OB_CHECKSUM })
+        }
+
         // Send the authentication request
         log('Logging into the exchange to watch funding state')
         this.sendSocketMsg({
@@ -146,13 +405,34 @@ class PrivateSocket extends BaseSocket {
 
     onAuth(msg) {
         if (msg.status !== 'OK') {
-            log('Failed to authentication. Bad API keys probably.')
+            // A nonce that is too small can be fixed by moving it on and trying again
+            if (/nonce/i.test(msg.msg ?? '') && this.authNonceRetries < this.restRetries) {
+                this.authNonceRetries += 1
+                log(`Authentication failed (${msg.msg}). Trying again with a bigger nonce`)
+                this.nonce.bump()
+                this.login()
+                return
+            }
+
+            log(`Failed to authentication (${msg.msg}). Bad API keys probably.`)
             this.close()
             return
         }
 
         log('Authenticated OK')
         this.loggedIn = true
+        this.authNonceRetries = 0
+        this.nonce.accepted()
+
+        // A new session - anything we knew about the old one is stale, and snapshots of everything will follow
+        this.orderBookChannelId = -1
+        this.rawBookChannelId = -1
+        this.tickerChannelId = -1
+        this.tradesChannelId = -1
+        this.rawOfferIds.clear()
+        this.checksumBook.clear()
+        this.bookResyncing = false
+        this.emit('reset')
 
         // attempt to subscribe to anything, now that we are connected
         this.subscribeToFeeds()
@@ -166,15 +446,42 @@ class PrivateSocket extends BaseSocket {
             return
         }
 
-        const msg = {
+        this.subscribeToBook()
+
+        if (this.rawBook) {
+            log(`Subscribe to raw lending book (${this.rawBookLength} offers)...`)
+            this.sendSocketMsg({
+                event: 'subscribe',
+                channel: 'book',
+                symbol: this.symbol,
+                prec: 'R0',
+                len: `${this.rawBookLength}`,
+            })
+        }
+
+        if (this.ticker) {
+            log('Subscribe to funding ticker...')
+            this.sendSocketMsg({ event: 'subscribe', channel: 'ticker', symbol: this.symbol })
+        }
+
+        if (this.trades) {
+            log('Subscribe to funding trades...')
+            this.sendSocketMsg({ event: 'subscribe', channel: 'trades', symbol: this.symbol })
+        }
+    }
+
+    /**
+     * Subscribe to the aggregated order book
+     */
+    subscribeToBook() {
+        log(`Subscribe to public lending book (${this.bookPrecision}, ${this.bookLength} levels)...`)
+        this.sendSocketMsg({
             event: 'subscribe',
             channel: 'book',
             symbol: this.symbol,
-            length: '1',
-        }
-
-        log('Subscribe to public lending book...')
-        this.sendSocketMsg(msg)
+            prec: this.bookPrecision,
+            len: `${this.bookLength}`,
+        })
     }
 
     /**
@@ -182,8 +489,28 @@ class PrivateSocket extends BaseSocket {
      * @param {*} msg
      */
     onSubscribe(msg) {
-        log(`subscribed to channel '${msg.channel}' for ${msg.symbol} on channel ${msg.chanId}`)
-        this.orderBookChannelId = msg.chanId
+        log(`subscribed to channel '${msg.channel}' (${msg.prec ?? '-'}) for ${msg.symbol} on channel ${msg.chanId}`)
+        if (msg.channel === 'ticker') {
+            this.tickerChannelId = msg.chanId
+        } else if (msg.channel === 'trades') {
+            this.tradesChannelId = msg.chanId
+        } else if (msg.prec === 'R0') {
+            this.rawBookChannelId = msg.chanId
+        } else {
+            this.orderBookChannelId = msg.chanId
+        }
+    }
+
+    /**
+     * Notified that we have unsubscribed from a topic
+     * If it was because the book was out of sync, subscribe again to get a fresh snapshot
+     * @param {*} msg
+     */
+    onUnsubscribe(msg) {
+        log(`unsubscribed from channel ${msg.chanId}`)
+        if (this.bookResyncing && this.loggedIn) {
+            this.subscribeToBook()
+        }
     }
 
     /**
@@ -203,6 +530,55 @@ class PrivateSocket extends BaseSocket {
         if (channel === this.orderBookChannelId) {
             return this.handleOrderBookMessage(data)
         }
+
+        // Raw order book feed
+        if (channel === this.rawBookChannelId) {
+            return this.handleRawBookMessage(data)
+        }
+
+        // Funding ticker
+        if (channel === this.tickerChannelId) {
+            return this.handleTickerMessage(data)
+        }
+
+        // Public funding trades
+        if (channel === this.tradesChannelId) {
+            return this.handleTradesMessage(data)
+        }
+    }
+
+    /**
+     * The funding ticker has changed. Emits update-ticker
+     * @param {*} data
+     */
+    handleTickerMessage(data) {
+        const entry = data[1]
+        if (!Array.isArray(entry)) {
+            return
+        }
+
+        this.emit('update-ticker', this.rawToTicker(entry))
+    }
+
+    /**
+     * Someone borrowed or lent in the public market. Emits public-trade for each trade, oldest first
+     * Each trade arrives twice (fte when it happens, ftu when it is confirmed), so only fte is used
+     * @param {*} data
+     */
+    handleTradesMessage(data) {
+        const entry = data[1]
+        if (entry === 'fte') {
+            this.emit('public-trade', this.rawToPublicTrade(data[2]))
+            return
+        }
+
+        // A snapshot of recent trades, newest first
+        if (Array.isArray(entry)) {
+            entry
+                .slice()
+                .reverse()
+                .forEach((t) => this.emit('public-trade', this.rawToPublicTrade(t)))
+        }
     }
 
     /**
@@ -219,23 +595,102 @@ class PrivateSocket extends BaseSocket {
             return
         }
 
+        // checksum of the book, to see if we are still in sync
+        if (entry === 'cs') {
+            this.verifyChecksum(data[2])
+            return
+        }
+
         if (!Array.isArray(entry)) {
             log('unexpected data message - expecting an array, got...')
             log(entry)
             return
         }
 
+        if (entry.length === 0 || Array.isArray(entry[0])) {
+            // A snapshot - replaces everything we had
+            this.checksumBook.clear()
+            this.emit('clear-book')
+
+            entry.forEach((e) => this.broadcastOffer(e))
+
+            this.bookResyncing = false
+            this.emit('book-ready')
+            return
+        }
+
+        this.broadcastOffer(entry)
+    }
+
+    /**
+     * Check the checksum from the exchange against our copy of the book
+     * If they differ, we have missed something, so unsubscribe and subscribe again for a new snapshot
+     * @param {*} expected
+     */
+    verifyChecksum(expected) {
+        if (this.bookResyncing) {
+            return
+        }
+
+        const actual = this.checksumBook.checksum()
+        if (actual === expected) {
+            return
+        }
+
+        log(`Order book checksum mismatch (expected ${expected}, got ${actual}). Resyncing the book...`)
+        this.bookResyncing = true
+        this.emit('book-resync')
+
+        this.sendSocketMsg({ event: 'unsubscribe', chanId: this.orderBookChannelId })
+        this.orderBookChannelId = -1
+    }
+
+    /**
+     * A data message containing updates to the raw order book has arrived
+     * @param {*} data
+     * @returns
+     */
+    handleRawBookMessage(data) {
+        const entry = data[1]
+
+        // only the aggregated book is checked against checksums
+        if (entry === 'hb' || entry === 'cs') {
+            return
+        }
+
+        if (!Array.isArray(entry)) {
+            log('unexpected raw book message - expecting an array, got...')
+            log(entry)
+            return
+        }
+
         if (entry.length === 0) {
             return
         }
 
         if (Array.isArray(entry[0])) {
-            // list of entries
-            entry.forEach((e) => this.broadcastOffer(e))
+            entry.forEach((e) => this.broadcastRawOffer(e))
             return
         }
 
-        this.broadcastOffer(entry)
+        this.broadcastRawOffer(entry)
+    }
+
+    /**
+     * An individual offer in the raw book has changed. Emits add-raw-offer, update-raw-offer or remove-raw-offer
+     * @param {*} entry
+     */
+    broadcastRawOffer(entry) {
+        const offer = this.rawToRawOrderBook(entry)
+        if (offer.rate === 0) {
+            this.rawOfferIds.delete(offer.id)
+            this.emit('remove-raw-offer', offer)
+            return
+        }
+
+        const event = this.rawOfferIds.has(offer.id) ? 'update' : 'add'
+        this.rawOfferIds.add(offer.id)
+        this.emit(`${event}-raw-offer`, offer)
     }
 
     /**
@@ -243,16 +698,13 @@ class PrivateSocket extends BaseSocket {
      * @param {*} entry
      */
     broadcastOffer(entry) {
-        // Convert the raw data to an order book entry and if it is an offer, update our copy
-        // We don't track bids, so they are essentially discarded at this point
+        // Convert the raw data to an order book entry and tell everyone about it
+        // offers are emitted as update-offer / cancel-offer, bids as update-bid / cancel-bid
         const offer = this.rawToOrderBook(entry)
-        if (offer.side === 'offer') {
-            if (offer.count === 0) {
-                this.emit('cancel-offer', offer)
-            } else {
-                this.emit('update-offer', offer)
-            }
-        }
+        this.checksumBook.update(offer)
+
+        const event = offer.count === 0 ? 'cancel' : 'update'
+        this.emit(`${event}-${offer.side}`, offer)
     }
 
     /**
@@ -266,6 +718,7 @@ class PrivateSocket extends BaseSocket {
             case 'fcs': // credits snapshot
                 log('Funding Credits - Taken Using - Snapshot')
                 data[2].map((f) => this.rawToBorrow(f, 'using')).forEach((f) => this.broadcastBorrow(f, 'update'))
+                this.emit('snapshot', type)
                 break
 
             case 'fcn': // credits new
@@ -281,6 +734,7 @@ class PrivateSocket extends BaseSocket {
             case 'fls': // loan snapshot
                 log('Funding Loans - Taken Unused - Snapshot')
                 data[2].map((f) => this.rawToBorrow(f, 'unused')).forEach((f) => this.broadcastBorrow(f, 'update'))
+                this.emit('snapshot', type)
                 break
 
             case 'fln': // loan new
@@ -296,6 +750,7 @@ class PrivateSocket extends BaseSocket {
             case 'fos':
                 log('Funding Offers - Open orders - Snapshot')
                 data[2].map((o) => this.rawToFundingOrder(o)).forEach((o) => this.broadcastOrder(o, 'update'))
+                this.emit('snapshot', type)
                 break
 
             case 'fon':
@@ -319,7 +774,7 @@ class PrivateSocket extends BaseSocket {
                 break
 
             case 'n':
-                log('Notification', data)
+                this.onNotification(data[2])
                 break
 
             // Heartbeat
@@ -328,6 +783,7 @@ class PrivateSocket extends BaseSocket {
 
             case 'ps': // position snapshot
                 data[2].map((p) => this.rawToPosition(p)).forEach((p) => this.broadcastPosition(p, 'update'))
+                this.emit('snapshot', type)
                 break
 
             case 'pn': // position new
@@ -337,6 +793,7 @@ class PrivateSocket extends BaseSocket {
 
             case 'ws': // Wallet snapshot
                 data[2].map((w) => this.rawToWallet(w)).forEach((w) => this.broadcastWallet(w))
+                this.emit('snapshot', type)
                 break
 
             case 'wu': // Wallet update
@@ -365,6 +822,12 @@ class PrivateSocket extends BaseSocket {
      * @param {*} event
      */
     broadcastBorrow(borrow, event) {
+        // when paper trading, the paper portfolio decides what the app sees
+        if (this.paper) {
+            this.paper.onRealBorrow(borrow, event)
+            return
+        }
+
         this.emit(`${event}-borrow`, borrow)
     }
 
@@ -374,6 +837,11 @@ class PrivateSocket extends BaseSocket {
      * @param {*} event
      */
     broadcastOrder(order, event) {
+        // when paper trading, the app only sees paper orders
+        if (this.paper) {
+            return
+        }
+
         this.emit(`${event}-order`, order)
     }
 
@@ -383,6 +851,11 @@ class PrivateSocket extends BaseSocket {
      * @param {*} event
      */
     broadcastTrade(trade, event) {
+        // when paper trading, the app only sees paper trades
+        if (this.paper) {
+            return
+        }
+
         this.emit(`${event}-trade`, trade)
     }
 
@@ -437,6 +910,47 @@ class PrivateSocket extends BaseSocket {
         }
     }
 
+    /**
+     * Funding ticker to something we can use
+     * @param {*} t
+     * @returns
+     */
+    rawToTicker(t) {
+        return {
+            frr: t[0],
+            bid: t[1],
+            bidPeriod: t[2],
+            bidSize: t[3],
+            ask: t[4],
+            askPeriod: t[5],
+            askSize: t[6],
+            dailyChange: t[7],
+            dailyChangeRelative: t[8],
+            lastRate: t[9],
+            volume: t[10],
+            high: t[11],
+            low: t[12],
+            frrAmountAvailable: t[15] ?? null,
+        }
+    }
+
+    /**
+     * Public funding trade to something we can use
+     * @param {*} t
+     * @returns
+     */
+    rawToPublicTrade(t) {
+        return {
+            id: t[0],
+            createdAt: t[1],
+            amount: t[2],
+            rate: t[3],
+            rateFixed: t[3].toFixed(8),
+            ratePercent: (t[3] * 365 * 100).toFixed(4),
+            period: t[4],
+        }
+    }
+
     /**
      * Array to Funding Offer
      * @param {*} o
@@ -516,6 +1030,29 @@ class PrivateSocket extends BaseSocket {
         }
     }
 
+    /**
+     * Convert an array of values from the raw book into an entry
+     * A rate of zero means the offer has been removed
+     * @param {*} entry
+     * @returns
+     */
+    rawToRawOrderBook(entry) {
+        const id = entry[0]
+        const period = entry[1]
+        const rate = entry[2]
+        const amount = entry[3]
+
+        return {
+            id,
+            side: amount > 0 ? 'offer' : 'bid',
+            rate,
+            period,
+            amount: Math.abs(amount),
+            rateFixed: rate.toFixed(8),
+            ratePercent: (rate * 365 * 100).toFixed(4),
+        }
+    }
+
     /**
      * Return position data from a stream
      * @param {*} pos
@@ -545,6 +1082,14 @@ class PrivateSocket extends BaseSocket {
         }
     }
 
+    /**
+     * When paper trading, a comparison of the paper borrows with the real ones (null otherwise)
+     * @returns
+     */
+    paperSummary() {
+        return this.paper ? this.paper.summary() : null
+    }
+
     msToHuman(timestamp) {
         const d = new Date(timestamp)
         return d.toISOString()
@@ -552,6 +1097,8 @@ class PrivateSocket extends BaseSocket {
 
     /**
      * Make rest calls
+     * Requests are held back to stay inside the rate limits, and network problems, exchange errors and
+     * rate limiting are retried with a growing delay. Anything else is thrown as one of the errors from rest-errors
      * @param {*} m
      * @param {*} path
      * @param {*} params
@@ -564,19 +1111,62 @@ class PrivateSocket extends BaseSocket {
             throw new Error('No API Keys Provided')
         }
 
+        const bucket = this.rateLimitBucket(path)
+        let attempt = 0
+        let nonceAttempt = 0
+        for (;;) {
+            await bucket.take()
+
+            try {
+                const data = await this.sendRequest(m, path, params)
+                this.nonce.accepted()
+                return data
+            } catch (error) {
+                const err = classifyError(error, path)
+                log(`${err.name} from ${path}: ${err.message}`)
+
+                if (err instanceof RateLimitError) {
+                    bucket.empty()
+                }
+
+                // something else has used a bigger nonce. Move ours on and go again straight away
+                if (err instanceof NonceError && nonceAttempt < this.restRetries) {
+                    nonceAttempt += 1
+                    this.nonce.bump()
+                    continue
+                }
+
+                if (!err.retryable || attempt >= this.restRetries) {
+                    throw err
+                }
+
+                attempt += 1
+                const delay = this.restRetryDelay * 2 ** (attempt - 1) * (err instanceof RateLimitError ? 10 : 1)
+                log(`Retrying ${path} in ${delay}ms (attempt ${attempt} of ${this.restRetries})`)
+                await new Promise((resolve) => setTimeout(resolve, delay))
+            }
+        }
+    }
+
+    /**
+     * Sign and send a single REST request
+     * @param {*} m
+     * @param {*} path
+     * @param {*} params
+     * @returns
+     */
+    async sendRequest(m, path, params) {
         const method = m.toUpperCase()
-        const endpoint = 'https://api.bitfinex.com'
+        const endpoint = this.restUrl
 
         const uri = method === 'POST' ? path : this.buildURI(path, params)
         const body = method === 'POST' ? JSON.stringify(params) : ''
 
         // Sign the request
-        const nonce = `${this.nextMsgId()}`
+        const nonce = this.nonce.next()
         const messageToSign = `/api${path}${nonce}${body}`
         const signature = this.signMessage(messageToSign)
 
-        // debug(`${method} ${path} - ${nonce}`)
-
         // put the required data in the headers
         const headers = {
             'Content-Type': 'application/json',
@@ -593,22 +1183,28 @@ class PrivateSocket extends BaseSocket {
             data: body,
         }
 
-        try {
-            log(`## ${m} ${path}`)
-            const response = await axios(request)
-            return response.data
-        } catch (error) {
-            if (error.response) {
-                log(`Bitfinex REST API error response. Status Code: ${error.response.status}`)
-                log(error.response.data)
-            } else if (error.request) {
-                log('Request Error making REST API request to Bitfinex (exchange down?)')
-            } else {
-                log('Error making REST API request to Bitfinex')
-            }
+        log(`## ${m} ${path}`)
+        const response = await axios(request)
+        return response.data
+    }
 
-            throw new Error('Bitfinex REST API Error. Call rejected')
+    /**
+     * Find the rate limiter for a path. Limits are configured by path prefix (longest match wins)
+     * @param {*} path
+     * @returns {TokenBucket}
+     */
+    rateLimitBucket(path) {
+        const prefix =
+            Object.keys(this.restRateLimits)
+                .filter((p) => p !== 'default' && path.startsWith(p))
+                .sort((a, b) => b.length - a.length)[0] ?? 'default'
+
+        if (!this.restBuckets.has(prefix)) {
+            const perMinute = this.restRateLimits[prefix] ?? 90
+            this.restBuckets.set(prefix, new TokenBucket(perMinute, 60000))
         }
+
+        return this.restBuckets.get(prefix)
     }
 
     /**
@@ -22,9 +22,26 @@ class BaseSocket extends EventEmitter {
         this.pingInterval = 12000
 
         this.restartTimer = null
-        this.restartDelay = 1000
 
-        // message id / nonce
+        // reconnects back off exponentially (with some jitter), up to a limit
+        this.restartDelay = config.get('bitfinex.reconnectDelay', 1000)
+        this.restartMaxDelay = config.get('bitfinex.reconnectMaxDelay', 60000)
+        this.restartAttempts = 0
+
+        // The back off only starts again once a connection has stayed up this long (ms)
+        this.restartStableAfter = config.get('bitfinex.reconnectStableAfter', 60000)
+        this.stableTimer = null
+
+        // If nothing at all arrives for this long, assume the connection is dead and reconnect
+        this.watchdogTimer = null
+        this.watchdogTimeout = config.get('bitfinex.watchdogTimeout', 30000)
+
+        // connection health
+        this.connectedAt = null
+        this.lastMessageAt = null
+        this.reconnectCount = 0
+
+        // message id (nonces for authentication come from a NonceProvider)
         this.msgId = Date.now()
 
         // should we change anything or not
@@ -87,10 +104,25 @@ class BaseSocket extends EventEmitter {
         this.ws.on('open', async () => this.onOpen())
     }
 
+    /**
+     * How long to wait before the next reconnect attempt
+     * Doubles with each failed attempt, up to the max delay, with up to 50% random jitter taken off
+     * so lots of clients don't all come back at the same moment
+     * @returns
+     */
+    nextRestartDelay() {
+        const delay = Math.min(this.restartMaxDelay, this.restartDelay * Math.pow(2, this.restartAttempts))
+        return Math.round(delay * (0.5 + Math.random() * 0.5))
+    }
+
     /**
      * Called when restarting a downed connection
      */
     restartConnection() {
+        const delay = this.nextRestartDelay()
+        this.restartAttempts += 1
+        log(`reconnecting in ${delay}ms (attempt ${this.restartAttempts})`)
+
         clearTimeout(this.restartTimer)
         this.restartTimer = setTimeout(async () => {
             try {
@@ -100,12 +132,13 @@ class BaseSocket extends EventEmitter {
                 }
 
                 // Open the websocket (well, try to)
+                this.reconnectCount += 1
                 this.open()
             } catch (err) {
                 // Soak up the exception, as a new attempt will have been scheduled now
                 log(err)
             }
-        }, this.restartDelay)
+        }, delay)
     }
 
     /**
@@ -130,6 +163,43 @@ class BaseSocket extends EventEmitter {
         // Clear any pending restarts
         clearTimeout(this.restartTimer)
         this.restartTimer = null
+
+        // and the watchdog
+        clearInterval(this.watchdogTimer)
+        this.watchdogTimer = null
+
+        clearTimeout(this.stableTimer)
+        this.stableTimer = null
+    }
+
+    /**
+     * Keeps an eye on the connection. If nothing has arrived for too long, it is probably half open
+     * so kill it, which will trigger a reconnect
+     */
+    checkWatchdog() {
+        const silence = Date.now() - this.lastMessageAt
+        if (silence < this.watchdogTimeout) {
+            return
+        }
+
+        log(`Nothing received for ${silence}ms - assuming the connection is dead`)
+        if (this.ws) {
+            this.ws.terminate()
+        }
+    }
+
+    /**
+     * The state of the connection
+     * @returns
+     */
+    getHealth() {
+        return {
+            connected: this.ws !== null && this.connectedAt !== null,
+            connectedAt: this.connectedAt,
+            lastMessageAt: this.lastMessageAt,
+            reconnectCount: this.reconnectCount,
+            restartAttempts: this.restartAttempts,
+        }
     }
 
     /**
@@ -155,6 +225,9 @@ class BaseSocket extends EventEmitter {
      * Called when the socket connection has been opened
      */
     async onOpen() {
+        this.connectedAt = Date.now()
+        this.lastMessageAt = Date.now()
+
         // log into the socket
         this.login()
         this.subscribeToFeeds()
@@ -169,6 +242,19 @@ class BaseSocket extends EventEmitter {
                 }),
             this.pingInterval
         )
+
+        // and watch for the connection going quiet
+        if (this.watchdogTimeout > 0) {
+            clearInterval(this.watchdogTimer)
+            this.watchdogTimer = setInterval(() => this.checkWatchdog(), Math.min(5000, this.watchdogTimeout))
+        }
+
+        // a connection that stays up for a while has recovered, so the next reconnect can be quick again.
+        // Connections that open and then drop straight away (eg the server is refusing us) keep backing off
+        clearTimeout(this.stableTimer)
+        this.stableTimer = setTimeout(() => {
+            this.restartAttempts = 0
+        }, this.restartStableAfter)
     }
 
     /**
@@ -199,6 +285,8 @@ class BaseSocket extends EventEmitter {
             this.ws = null
         }
         this.loggedIn = false
+        this.connectedAt = null
+        this.emit('disconnected')
 
         // if we were not trying to close the connection, restart it
         if (!this.isClosing) {
@@ -219,7 +307,9 @@ class BaseSocket extends EventEmitter {
      * Ping pong
      * @param {*} e
      */
-    async onPong(e) {}
+    async onPong(e) {
+        this.lastMessageAt = Date.now()
+    }
 
     /**
      * A message has arrived on the socket. Decode and process it
@@ -227,6 +317,9 @@ class BaseSocket extends EventEmitter {
      * @returns
      */
     async onMessage(e) {
+        // anything at all arriving means the connection is alive
+        this.lastMessageAt = Date.now()
+
         try {
             // get the message as a string
             const s = Buffer.isBuffer(e) ? e.toString() : e
@@ -280,6 +373,10 @@ class BaseSocket extends EventEmitter {
                 this.onSubscribe(msg)
                 break
 
+            case 'unsubscribed':
+                this.onUnsubscribe(msg)
+                break
+
             case 'info':
                 log(msg)
                 break
@@ -328,6 +425,12 @@ class BaseSocket extends EventEmitter {
      */
     onSubscribe(msg) {}
 
+    /**
+     * Notified that we have unsubscribed from a topic
+     * @param {*} msg
+     */
+    onUnsubscribe(msg) {}
+
     /**
      * Subscribe to any required feeds
      */
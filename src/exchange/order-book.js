@@ -0,0 +1,209 @@
+const crc32 = require('../util/crc32')
+
+/**
+ * The funding order book. Keeps every level from the book feed, both offers (people lending)
+ * and bids (people wanting to borrow), indexed by rate and period so that levels at the same rate
+ * but different periods don't overwrite each other.
+ *
+ * Entries are in the shape produced by PrivateSocket.rawToOrderBook()
+ */
+class OrderBook {
+    constructor() {
+        this.levels = new Map()
+
+        // sorted copies of each side, rebuilt when something changes
+        this.sortedOffers = null
+        this.sortedBids = null
+    }
+
+    /**
+     * Add or update a level. A level with a count of zero is removed
+     * @param {*} entry
+     */
+    update(entry) {
+        if (entry.count === 0) {
+            this.remove(entry)
+            return
+        }
+
+        this.levels.set(this.key(entry), entry)
+        this.changed()
+    }
+
+    /**
+     * Remove a level from the book
+     * @param {*} entry
+     */
+    remove(entry) {
+        this.levels.delete(this.key(entry))
+        this.changed()
+    }
+
+    /**
+     * Empty the book
+     */
+    clear() {
+        this.levels.clear()
+        this.changed()
+    }
+
+    /**
+     * All the offers. Cheapest first, then longest period first
+     * @returns
+     */
+    offers() {
+        if (this.sortedOffers === null) {
+            this.sortedOffers = this.side('offer').sort((a, b) => {
+                const s = a.rate - b.rate
+                return s === 0 ? b.period - a.period : s
+            })
+        }
+
+        return this.sortedOffers
+    }
+
+    /**
+     * All the bids. Highest rate first, then longest period first
+     * @returns
+     */
+    bids() {
+        if (this.sortedBids === null) {
+            this.sortedBids = this.side('bid').sort((a, b) => {
+                const s = b.rate - a.rate
+                return s === 0 ? b.period - a.period : s
+            })
+        }
+
+        return this.sortedBids
+    }
+
+    /**
+     * The cheapest offer (or null if there are none)
+     * @returns
+     */
+    bestOffer() {
+        const offers = this.offers()
+        return offers.length > 0 ? offers[0] : null
+    }
+
+    /**
+     * The highest bid (or null if there are none)
+     * @returns
+     */
+    bestBid() {
+        const bids = this.bids()
+        return bids.length > 0 ? bids[0] : null
+    }
+
+    /**
+     * true if there are no offers in the book
+     * @returns
+     */
+    isEmpty() {
+        return this.offers().length === 0
+    }
+
+    /**
+     * All the offers at or below the given rate, for a period of at least minPeriod days
+     * @param {*} maxRate
+     * @param {*} minPeriod
+     * @returns
+     */
+    offersAtOrBelow(maxRate, minPeriod = 0) {
+        return this.offers().filter((o) => o.rate <= maxRate && o.period >= minPeriod)
+    }
+
+    /**
+     * How much is on offer at or below the given rate, for a period of at least minPeriod days
+     * @param {*} maxRate
+     * @param {*} minPeriod
+     * @returns
+     */
+    liquidity(maxRate, minPeriod = 0) {
+        return this.offersAtOrBelow(maxRate, minPeriod).reduce((sum, o) => sum + o.amount, 0)
+    }
+
+    /**
+     * How much is on offer at or below the given rate, grouped by period
+     * @param {*} maxRate
+     * @returns {Map} period => amount
+     */
+    liquidityByPeriod(maxRate = Infinity) {
+        const periods = new Map()
+        this.offersAtOrBelow(maxRate).forEach((o) => periods.set(o.period, (periods.get(o.period) ?? 0) + o.amount))
+        return periods
+    }
+
+    /**
+     * Walk up the offers until amount is covered, and return the rate needed to fill it all.
+     * If there isn't enough, returns the rate of the last offer considered (or null if there are none)
+     * @param {*} amount
+     * @param {*} maxRate
+     * @param {*} minPeriod
+     * @returns
+     */
+    rateToFill(amount, maxRate = Infinity, minPeriod = 0) {
+        const offers = this.offersAtOrBelow(maxRate, minPeriod)
+        if (offers.length === 0) {
+            return null
+        }
+
+        let rate = offers[0].rate
+        let balance = amount
+        for (const o of offers) {
+            if (balance <= 0) {
+                break
+            }
+
+            rate = o.rate
+            balance -= o.amount
+        }
+
+        return rate
+    }
+
+    /**
+     * Checksum of the top 25 levels on each side, calculated the same way as Bitfinex does.
+     * Bids and offers are interleaved as rate:amount (bids have negative amounts), joined with ':' and CRC32'd
+     * @returns
+     */
+    checksum() {
+        const bids = this.bids().slice(0, 25)
+        const offers = this.offers().slice(0, 25)
+        const parts = []
+        for (let i = 0; i < 25; i++) {
+            if (bids[i]) {
+                parts.push(`${bids[i].rate}:${-bids[i].amount}`)
+            }
+
+            if (offers[i]) {
+                parts.push(`${offers[i].rate}:${offers[i].amount}`)
+            }
+        }
+
+        return crc32(parts.join(':'))
+    }
+
+    /**
+     * All the levels on one side of the book
+     * @param {*} side
+     * @returns
+     */
+    side(side) {
+        return Array.from(this.levels.values()).filter((l) => l.side === side)
+    }
+
+    /**
+     * Something changed - throw away the sorted copies
+     */
+    changed() {
+        this.sortedOffers = null
+        this.sortedBids = null
+    }
+
+    key(entry) {
+        return `${entry.side}:${entry.rate}:${entry.period}`
+    }
+}
+
+module.exports = OrderBook
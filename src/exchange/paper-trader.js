@@ -0,0 +1,381 @@
+const log = require('../util/log')('paper')
+
+const dayMs = 1000 * 60 * 60 * 24
+
+/**
+ * Paper trading, used in dry run mode.
+ * Instead of sending offers to the exchange, they are matched against the live order book
+ * and the resulting orders, trades and borrows are emitted from the socket, just like the real thing.
+ * A virtual set of borrows is kept (seeded from the real account at startup), so the rates paid
+ * can be compared with the real account over time.
+ */
+class PaperTrader {
+    /**
+     * @param {*} socket - the PrivateSocket that events are emitted from
+     */
+    constructor(socket) {
+        this.socket = socket
+        this.symbol = socket.symbol
+
+        // ids for everything we make up. They count down from -1, so they can never clash with the real ids
+        // (all positive) of the borrows copied from the account
+        this.lastId = 0
+
+        // copy of the live book, and how much of each level we have already taken
+        this.book = new Map()
+
+        // our virtual world
+        this.orders = []
+        this.borrows = new Map()
+
+        // What the real account is doing, for comparison
+        this.realBorrows = new Map()
+
+        // real borrows are copied into the paper portfolio until we first change something
+        this.seeding = true
+
+        // running total of interest paid (in units of the symbol)
+        this.paperInterest = 0
+        this.realInterest = 0
+        this.lastAccrued = Date.now()
+
+        // follow the live book
+        socket.on('update-offer', (offer) => this.onUpdateOffer(offer))
+        socket.on('cancel-offer', (offer) => this.onCancelOffer(offer))
+        socket.on('clear-book', () => this.book.clear())
+
+        // follow the connection, so the app can be told about the paper world again after a reconnect
+        socket.on('reset', () => this.onReset())
+        socket.on('snapshot', (type) => this.onSnapshot(type))
+
+        log('\n============\nPAPER TRADING - OFFERS WILL BE FILLED AGAINST THE LIVE ORDER BOOK\n============\n')
+    }
+
+    /**
+     * Generate a new id for a paper order / trade / borrow
+     * @returns
+     */
+    nextId() {
+        this.lastId -= 1
+        return this.lastId
+    }
+
+    /**
+     * A real borrow changed on the account
+     * @param {*} borrow
+     * @param {*} event
+     */
+    onRealBorrow(borrow, event) {
+        this.accrue()
+        if (event === 'cancel') {
+            this.realBorrows.delete(borrow.id)
+        } else {
+            this.realBorrows.set(borrow.id, borrow)
+        }
+
+        // Until we take over, the paper portfolio is a copy of the real one
+        if (this.seeding) {
+            if (event === 'cancel') {
+                this.borrows.delete(borrow.id)
+            } else {
+                this.borrows.set(borrow.id, borrow)
+            }
+
+            this.socket.emit(`${event}-borrow`, borrow)
+        }
+    }
+
+    /**
+     * A new session has started. The real borrows will all be sent again
+     */
+    onReset() {
+        this.accrue()
+        this.realBorrows.clear()
+        if (this.seeding) {
+            this.borrows.clear()
+        }
+    }
+
+    /**
+     * A snapshot has just been sent to the app. Once we have taken over from the real account,
+     * the app needs our paper borrows and orders instead
+     * @param {*} type
+     */
+    onSnapshot(type) {
+        if (this.seeding) {
+            return
+        }
+
+        if (type === 'fcs') {
+            this.borrows.forEach((b) => this.socket.emit('update-borrow', b))
+        }
+
+        if (type === 'fos') {
+            this.orders.forEach((o) => this.socket.emit('update-order', this.toOrder(o)))
+        }
+    }
+
+    /**
+     * Place a paper bid to borrow funds
+     * @param {*} amount
+     * @param {*} rate
+     * @param {*} options - { type, period, flags }
+     * @returns the id of the paper offer
+     */
+    borrowFunds(amount, rate, options = {}) {
+        this.seeding = false
+
+        // FRR offers take whatever the market rate is, so in paper they will fill against anything
+        const type = options.type ?? 'LIMIT'
+        const limit = type === 'LIMIT' ? rate : Infinity
+
+        const now = Date.now()
+        const order = { id: this.nextId(), createdAt: now, updatedAt: now, amount: -amount, amountOrig: -amount, rate: limit }
+        order.type = type
+        order.period = options.period ?? 2
+        order.flags = options.flags ?? 0
+        order.status = 'ACTIVE'
+        this.orders.push(order)
+
+        log(`PAPER: ${type} offer ${order.id} to borrow ${amount.toFixed(4)} @ ${rate.toFixed(8)} for ${order.period} days`)
+        this.socket.emit('new-order', this.toOrder(order))
+
+        this.match()
+        return order.id
+    }
+
+    /**
+     * Return some paper borrowing
+     * @param {*} borrow
+     * @returns
+     */
+    returnBorrow(borrow) {
+        this.seeding = false
+
+        const existing = this.borrows.get(borrow.id)
+        if (!existing) {
+            log(`PAPER: no borrow with id ${borrow.id} to return`)
+            return false
+        }
+
+        this.accrue()
+        this.borrows.delete(borrow.id)
+        log(`PAPER: returned ${borrow.id} for ${existing.amount.toFixed(4)} @ ${existing.rateFixed}`)
+        this.socket.emit('cancel-borrow', existing)
+        return true
+    }
+
+    /**
+     * Cancel paper offers
+     * @param {*} ids
+     */
+    cancelOffers(ids) {
+        ids.forEach((id) => {
+            const order = this.orders.find((o) => o.id === id)
+            if (order) {
+                this.orders = this.orders.filter((o) => o.id !== id)
+                order.status = 'CANCELED'
+                order.updatedAt = Date.now()
+                log(`PAPER: cancelled offer ${id}`)
+                this.socket.emit('cancel-order', this.toOrder(order))
+            }
+        })
+    }
+
+    /**
+     * The live book changed
+     * @param {*} offer
+     */
+    onUpdateOffer(offer) {
+        const key = this.bookKey(offer)
+        const level = this.book.get(key)
+        this.book.set(key, { rate: offer.rate, period: offer.period, amount: offer.amount, taken: level ? level.taken : 0 })
+
+        this.renewExpired()
+        this.match()
+    }
+
+    /**
+     * A level has gone from the live book
+     * @param {*} offer
+     */
+    onCancelOffer(offer) {
+        this.book.delete(this.bookKey(offer))
+    }
+
+    /**
+     * Try and fill open paper orders against the live book
+     */
+    match() {
+        const levels = Array.from(this.book.values()).sort((a, b) => a.rate - b.rate)
+        this.orders.forEach((order) => {
+            for (const level of levels) {
+                const available = level.amount - level.taken
+                if (order.amount >= 0 || level.rate > order.rate) {
+                    break
+                }
+
+                // lenders offering a shorter period than we asked for can't fill us
+                if (available > 0 && level.period >= order.period) {
+                    this.fill(order, level, Math.min(available, -order.amount))
+                }
+            }
+        })
+
+        this.orders = this.orders.filter((o) => o.amount < 0)
+    }
+
+    /**
+     * Fill (part of) an order from a level in the book
+     * @param {*} order
+     * @param {*} level
+     * @param {*} size
+     */
+    fill(order, level, size) {
+        this.seeding = false
+        this.accrue()
+
+        const now = Date.now()
+        level.taken += size
+        order.amount += size
+        order.updatedAt = now
+
+        log(`PAPER: filled ${size.toFixed(4)} @ ${level.rate.toFixed(8)} on offer ${order.id}`)
+        this.socket.emit(
+            'execute-trade',
+            this.socket.rawToTrade([this.nextId(), this.symbol, now, order.id, -size, level.rate, order.period, 0])
+        )
+
+        const borrow = this.makeBorrow(size, level.rate, order.period, now)
+        this.borrows.set(borrow.id, borrow)
+        this.socket.emit('update-borrow', borrow)
+
+        if (order.amount >= -0.000001) {
+            order.amount = 0
+            order.status = `EXECUTED at ${level.rate}`
+            this.socket.emit('cancel-order', this.toOrder(order))
+        } else {
+            order.status = `PARTIALLY FILLED at ${level.rate}`
+            this.socket.emit('update-order', this.toOrder(order))
+        }
+    }
+
+    /**
+     * When paper borrows expire, the exchange would borrow again to keep the position funded.
+     * Do the same at the best rate in the book
+     */
+    renewExpired() {
+        const now = Date.now()
+        const best = Array.from(this.book.values()).reduce((low, l) => (low === null || l.rate < low ? l.rate : low), null)
+        if (best === null) {
+            return
+        }
+
+        Array.from(this.borrows.values())
+            .filter((b) => b.expiresAt <= now)
+            .forEach((b) => {
+                this.accrue()
+                this.borrows.delete(b.id)
+                this.socket.emit('cancel-borrow', b)
+
+                const renewed = this.makeBorrow(b.amount, best, 2, now)
+                this.borrows.set(renewed.id, renewed)
+                log(`PAPER: borrow ${b.id} expired, renewed ${b.amount.toFixed(4)} @ ${best.toFixed(8)}`)
+                this.socket.emit('update-borrow', renewed)
+            })
+    }
+
+    /**
+     * Add up the interest paid since we last looked, for both portfolios
+     */
+    accrue() {
+        const now = Date.now()
+        const days = (now - this.lastAccrued) / dayMs
+        this.lastAccrued = now
+
+        this.paperInterest += this.dailyCost(this.borrows) * days
+        this.realInterest += this.dailyCost(this.realBorrows) * days
+    }
+
+    /**
+     * How much a set of borrows costs per day
+     * @param {*} borrows
+     * @returns
+     */
+    dailyCost(borrows) {
+        return Array.from(borrows.values()).reduce((sum, b) => sum + b.amount * b.rate, 0)
+    }
+
+    /**
+     * Summary of the paper portfolio vs the real one
+     * @returns
+     */
+    summary() {
+        this.accrue()
+
+        const paperTotal = Array.from(this.borrows.values()).reduce((sum, b) => sum + b.amount, 0)
+        const realTotal = Array.from(this.realBorrows.values()).reduce((sum, b) => sum + b.amount, 0)
+        return {
+            paperTotal,
+            paperRate: paperTotal > 0 ? this.dailyCost(this.borrows) / paperTotal : 0,
+            paperInterest: this.paperInterest,
+            realTotal,
+            realRate: realTotal > 0 ? this.dailyCost(this.realBorrows) / realTotal : 0,
+            realInterest: this.realInterest,
+        }
+    }
+
+    /**
+     * Build a paper borrow, in the same shape as the socket produces
+     * @param {*} amount
+     * @param {*} rate
+     * @param {*} period
+     * @param {*} now
+     * @returns
+     */
+    makeBorrow(amount, rate, period, now) {
+        const raw = []
+        raw[0] = this.nextId()
+        raw[1] = this.symbol
+        raw[2] = -1
+        raw[3] = now
+        raw[4] = now
+        raw[5] = amount
+        raw[7] = 'ACTIVE'
+        raw[11] = rate
+        raw[12] = period
+        raw[13] = now
+        raw[19] = null
+        raw[21] = null
+
+        return this.socket.rawToBorrow(raw, 'using')
+    }
+
+    /**
+     * Convert a paper order to the same shape as the socket produces
+     * @param {*} o
+     * @returns
+     */
+    toOrder(o) {
+        const raw = []
+        raw[0] = o.id
+        raw[1] = this.symbol
+        raw[2] = o.createdAt
+        raw[3] = o.updatedAt
+        raw[4] = o.amount
+        raw[5] = o.amountOrig
+        raw[6] = o.type
+        raw[9] = o.flags
+        raw[10] = o.status
+        raw[14] = o.type === 'LIMIT' ? o.rate : 0
+        raw[15] = o.period
+
+        return this.socket.rawToFundingOrder(raw)
+    }
+
+    bookKey(offer) {
+        return `${offer.rate}:${offer.period}`
+    }
+}
+
+module.exports = PaperTrader
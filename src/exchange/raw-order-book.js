@@ -0,0 +1,112 @@
+/**
+ * The raw (R0) funding order book. Every individual offer and bid is kept, by its offer id,
+ * so we can see how fragmented the liquidity is and exactly which offers a new bid would match.
+ *
+ * Entries are in the shape produced by PrivateSocket.rawToRawOrderBook()
+ */
+class RawOrderBook {
+    constructor() {
+        this.entries = new Map()
+
+        // sorted copy of the offers, rebuilt when something changes
+        this.sortedOffers = null
+    }
+
+    /**
+     * true if we already know about an entry with this id
+     * @param {*} id
+     * @returns
+     */
+    has(id) {
+        return this.entries.has(id)
+    }
+
+    /**
+     * Add or update an entry
+     * @param {*} entry
+     */
+    update(entry) {
+        this.entries.set(entry.id, entry)
+        this.sortedOffers = null
+    }
+
+    /**
+     * Remove an entry
+     * @param {*} entry
+     */
+    remove(entry) {
+        this.entries.delete(entry.id)
+        this.sortedOffers = null
+    }
+
+    /**
+     * Empty the book
+     */
+    clear() {
+        this.entries.clear()
+        this.sortedOffers = null
+    }
+
+    /**
+     * All the individual offers, cheapest first, then longest period, then oldest (lowest id) first
+     * @returns
+     */
+    offers() {
+        if (this.sortedOffers === null) {
+            this.sortedOffers = Array.from(this.entries.values())
+                .filter((e) => e.side === 'offer')
+                .sort((a, b) => {
+                    const s = a.rate - b.rate
+                    if (s !== 0) {
+                        return s
+                    }
+
+                    return a.period === b.period ? a.id - b.id : b.period - a.period
+                })
+        }
+
+        return this.sortedOffers
+    }
+
+    /**
+     * Offers at or below the given rate, for at least minPeriod days
+     * @param {*} maxRate
+     * @param {*} minPeriod
+     * @returns
+     */
+    offersAtOrBelow(maxRate, minPeriod = 0) {
+        return this.offers().filter((o) => o.rate <= maxRate && o.period >= minPeriod)
+    }
+
+    /**
+     * The individual offers a bid for amount at rate would match against, in the order they would fill
+     * @param {*} amount
+     * @param {*} rate
+     * @returns
+     */
+    matchesFor(amount, rate) {
+        const matches = []
+        let balance = amount
+        for (const o of this.offersAtOrBelow(rate)) {
+            if (balance <= 0) {
+                break
+            }
+
+            matches.push(o)
+            balance -= o.amount
+        }
+
+        return matches
+    }
+
+    /**
+     * How many individual offers make up the given rate (ie how fragmented that level is)
+     * @param {*} rate
+     * @returns
+     */
+    countAtRate(rate) {
+        return this.offers().filter((o) => o.rate === rate).length
+    }
+}
+
+module.exports = RawOrderBook
@@ -0,0 +1,138 @@
+/**
+ * Errors that can come back from the Bitfinex REST API, so callers can decide what to do about them.
+ * Bitfinex errors mostly arrive as a 500 with a body like ['error', 10100, 'apikey: invalid'],
+ * so the message matters more than the status code.
+ */
+
+/**
+ * Base class for anything that went wrong talking to the REST API
+ */
+class RestError extends Error {
+    /**
+     * @param {*} message
+     * @param {*} details - { status, code, path }
+     */
+    constructor(message, details = {}) {
+        super(message)
+        this.name = this.constructor.name
+        this.status = details.status ?? null
+        this.code = details.code ?? null
+        this.path = details.path ?? null
+
+        // true if trying the same request again later might work
+        this.retryable = false
+    }
+}
+
+/**
+ * Couldn't reach the exchange at all (or it didn't answer)
+ */
+class NetworkError extends RestError {
+    constructor(message, details) {
+        super(message, details)
+        this.retryable = true
+    }
+}
+
+/**
+ * The exchange had a problem of its own (5xx that isn't one of the errors below)
+ */
+class ServerError extends RestError {
+    constructor(message, details) {
+        super(message, details)
+        this.retryable = true
+    }
+}
+
+/**
+ * Too many requests. Bitfinex blocks the caller for a while when this happens
+ */
+class RateLimitError extends RestError {
+    constructor(message, details) {
+        super(message, details)
+        this.retryable = true
+    }
+}
+
+/**
+ * The nonce was not bigger than the last one the exchange saw for this key
+ */
+class NonceError extends RestError {}
+
+/**
+ * The API key or signature was rejected, or the key lacks permission. Retrying won't help
+ */
+class AuthError extends RestError {}
+
+/**
+ * The thing asked for doesn't exist (eg a borrow that has already been returned)
+ */
+class NotFoundError extends RestError {}
+
+/**
+ * The exchange understood the request, but refused it for some other reason
+ */
+class RequestError extends RestError {}
+
+/**
+ * Turn an error from axios into one of the errors above
+ * @param {*} error
+ * @param {*} path
+ * @returns {RestError}
+ */
+function classifyError(error, path) {
+    if (error instanceof RestError) {
+        return error
+    }
+
+    if (!error.response) {
+        return new NetworkError(`No response from Bitfinex (${error.code ?? error.message})`, { path })
+    }
+
+    const status = error.response.status
+    const data = error.response.data
+    const code = Array.isArray(data) ? data[1] : null
+    const text = Array.isArray(data) ? `${data[2]}` : `${data?.error ?? data?.message ?? data ?? ''}`
+    const details = { status, code, path }
+    const message = `Bitfinex REST API error ${status}: ${text}`
+
+    if (status === 429 || /rate.?limit/i.test(text)) {
+        return new RateLimitError(message, details)
+    }
+
+    if (/nonce/i.test(text)) {
+        return new NonceError(message, details)
+    }
+
+    if (status === 401 || status === 403 || /apikey|signature|permission/i.test(text)) {
+        return new AuthError(message, details)
+    }
+
+    if (status === 404 || /not found/i.test(text)) {
+        return new NotFoundError(message, details)
+    }
+
+    // 20060 is the exchange being in maintenance mode
+    if (code === 20060 || /maintenance|temporarily|busy/i.test(text)) {
+        return new ServerError(message, details)
+    }
+
+    // a 5xx without Bitfinex's own error body came from something in front of the exchange
+    if (status >= 500 && !(Array.isArray(data) && data[0] === 'error')) {
+        return new ServerError(message, details)
+    }
+
+    return new RequestError(message, details)
+}
+
+module.exports = {
+    RestError,
+    NetworkError,
+    ServerError,
+    RateLimitError,
+    NonceError,
+    AuthError,
+    NotFoundError,
+    RequestError,
+    classifyError,
+}
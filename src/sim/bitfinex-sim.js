@@ -0,0 +1,960 @@
+const http = require('node:http')
+const WebSocket = require('ws')
+const config = require('../util/config')
+const OrderBook = require('../exchange/order-book')
+const log = require('../util/log')('sim')
+
+// A fake Bitfinex endpoint, good enough to exercise the bot without real keys or real money
+// Speaks just enough of the v2 websocket protocol (auth, book / ticker / trades subscriptions, fon, foc)
+// and the funding REST routes the bot uses.
+
+class BitfinexSim {
+    constructor() {
+        // settings from config
+        this.port = config.get('sim.port', 8042)
+        this.symbol = config.get('bitfinex.symbol')
+        this.quoteCurrency = this.symbol.substring(1).toUpperCase()
+        this.baseRate = config.get('sim.rate', 0.0002)
+        this.tickInterval = config.get('sim.tickInterval', 2000)
+        this.minOfferSize = config.get('sim.minOfferSize', 150)
+        this.hbInterval = 15000
+
+        // chance of a book update not being sent, to test book checksums
+        this.dropUpdates = config.get('sim.dropUpdates', 0)
+
+        // how often (ms) to drop every connection, to test reconnecting. 0 for never
+        this.disconnectInterval = config.get('sim.disconnectInterval', 0)
+
+        // chance of a REST call failing with a 503, to test retries
+        this.restFailures = config.get('sim.restFailures', 0)
+
+        // the last nonce seen for each api key. Can start ahead of the clock, as if another bot had been using the key
+        this.nonceAhead = config.get('sim.nonceAhead', 0)
+        this.nonces = new Map()
+
+        // ids for everything we create (offers, borrows, trades, channels)
+        this.lastId = 1000
+
+        // The public book and the private account state
+        this.book = []
+        this.offers = []
+        this.credits = []
+        this.loans = []
+        this.wallets = []
+        this.positions = []
+
+        // recent public trades, newest last
+        this.trades = []
+
+        // connected clients
+        this.clients = new Set()
+
+        this.server = null
+        this.wss = null
+        this.tickTimer = null
+        this.hbTimer = null
+        this.disconnectTimer = null
+
+        this.seed()
+    }
+
+    /**
+     * Start listening for connections (websocket and REST share the same port)
+     */
+    start() {
+        this.server = http.createServer((req, res) => this.onHttpRequest(req, res))
+        this.wss = new WebSocket.Server({ server: this.server })
+        this.wss.on('connection', (ws) => this.onConnection(ws))
+
+        this.server.listen(this.port, () => {
+            log(`Simulator listening. Websocket ws://localhost:${this.port}/ws/2, REST http://localhost:${this.port}`)
+        })
+
+        this.tickTimer = setInterval(() => this.onTick(), this.tickInterval)
+        this.hbTimer = setInterval(() => this.onHeartbeat(), this.hbInterval)
+
+        if (this.disconnectInterval > 0) {
+            this.disconnectTimer = setInterval(() => this.dropConnections(), this.disconnectInterval)
+        }
+    }
+
+    /**
+     * Stop everything
+     */
+    stop() {
+        clearInterval(this.tickTimer)
+        clearInterval(this.hbTimer)
+        clearInterval(this.disconnectTimer)
+        this.clients.forEach((c) => c.ws.close())
+        this.clients.clear()
+
+        if (this.wss) {
+            this.wss.close()
+        }
+
+        if (this.server) {
+            this.server.close()
+        }
+    }
+
+    /**
+     * Drop every client connection without warning
+     */
+    dropConnections() {
+        log(`Dropping ${this.clients.size} connections`)
+        this.clients.forEach((c) => c.ws.terminate())
+    }
+
+    /**
+     * Generate a new unique id
+     * @returns
+     */
+    nextId() {
+        this.lastId += 1
+        return this.lastId
+    }
+
+    /**
+     * Build the starting state - an order book around the base rate, and a few expensive borrows
+     */
+    seed() {
+        const periods = [2, 2, 2, 3, 5, 7, 10, 30]
+        for (let i = 0; i < 30; i++) {
+            this.book.push({
+                id: this.nextId(),
+                rate: this.roundRate(this.baseRate * (1 + i * 0.02)),
+                period: this.pick(periods),
+                count: 1 + Math.floor(Math.random() * 4),
+                amount: this.randomAmount(),
+            })
+        }
+
+        for (let i = 1; i <= 10; i++) {
+            this.book.push({
+                id: this.nextId(),
+                rate: this.roundRate(this.baseRate * (1 - i * 0.03)),
+                period: this.pick(periods),
+                count: 1 + Math.floor(Math.random() * 4),
+                amount: -this.randomAmount(),
+            })
+        }
+
+        // Some existing borrowing, at rates a little above the market
+        const now = Date.now()
+        let totalBorrowed = 0
+        for (let i = 0; i < 6; i++) {
+            const amount = Math.round(500 + Math.random() * 2000)
+            const rate = this.roundRate(this.baseRate * (1.1 + Math.random() * 0.6))
+            const opened = now - Math.floor(Math.random() * 1000 * 60 * 60 * 24)
+            this.credits.push(this.makeBorrow(amount, rate, 2, opened))
+            totalBorrowed += amount
+        }
+
+        // A position that is using the borrowing, and a wallet that can't cover it
+        const balance = 1000
+        const basePrice = 40000
+        this.wallets.push(['margin', this.quoteCurrency, balance, 0, balance])
+        const size = (totalBorrowed + balance) / basePrice
+        this.positions.push([
+            `tBTC${this.quoteCurrency}`,
+            'ACTIVE',
+            size,
+            basePrice,
+            0,
+            0,
+            0,
+            0,
+            basePrice * 0.6,
+            2,
+            null,
+            this.nextId(),
+            now,
+            now,
+            null,
+            0,
+            null,
+            balance,
+            balance / 2,
+            null,
+        ])
+    }
+
+    /**
+     * A new websocket connection
+     * @param {*} ws
+     */
+    onConnection(ws) {
+        const client = { ws, authed: false, checksum: false, books: new Map(), channels: new Map() }
+        this.clients.add(client)
+        log('Client connected')
+
+        ws.on('message', (data) => this.onMessage(client, data))
+        ws.on('close', () => {
+            this.clients.delete(client)
+            log('Client disconnected')
+        })
+
+        this.send(client, { event: 'info', version: 2, platform: { status: 1 } })
+    }
+
+    /**
+     * Message from a client
+     * @param {*} client
+     * @param {*} data
+     */
+    onMessage(client, data) {
+        let msg = null
+        try {
+            msg = JSON.parse(data.toString())
+        } catch (err) {
+            log('Bad message from client', data.toString())
+            return
+        }
+
+        if (Array.isArray(msg)) {
+            this.onInput(client, msg)
+            return
+        }
+
+        switch (msg.event) {
+            case 'auth':
+                this.onAuth(client, msg)
+                break
+
+            case 'subscribe':
+                this.onSubscribe(client, msg)
+                break
+
+            case 'unsubscribe':
+                this.onUnsubscribe(client, msg)
+                break
+
+            case 'conf':
+                client.checksum = ((msg.flags ?? 0) & 131072) !== 0
+                this.send(client, { event: 'conf', status: 'OK', flags: msg.flags })
+                break
+
+            case 'ping':
+                this.send(client, { event: 'pong', ts: Date.now(), cid: msg.cid })
+                break
+
+            default:
+                this.send(client, { event: 'error', msg: `unknown event ${msg.event}`, code: 10000 })
+                break
+        }
+    }
+
+    /**
+     * Any key is accepted, we just need the shape to be right
+     * @param {*} client
+     * @param {*} msg
+     */
+    onAuth(client, msg) {
+        if (!msg.apiKey || !msg.authSig || !msg.authNonce) {
+            this.send(client, { event: 'auth', status: 'FAILED', chanId: 0, code: 10100, msg: 'apikey: invalid' })
+            return
+        }
+
+        if (!this.checkNonce(msg.apiKey, msg.authNonce)) {
+            this.send(client, { event: 'auth', status: 'FAILED', chanId: 0, code: 10114, msg: 'nonce: small' })
+            return
+        }
+
+        client.authed = true
+        this.send(client, { event: 'auth', status: 'OK', chanId: 0, userId: 1, caps: {} })
+
+        // Snapshots of everything we know about
+        this.send(client, [0, 'ps', this.positions])
+        this.send(client, [0, 'ws', this.wallets])
+        this.send(client, [0, 'fos', this.offers.map((o) => this.offerToRaw(o))])
+        this.send(client, [0, 'fcs', this.credits.map((b) => this.borrowToRaw(b))])
+        this.send(client, [0, 'fls', this.loans.map((b) => this.borrowToRaw(b))])
+    }
+
+    /**
+     * The funding book, ticker and trades are available. Both the aggregated (P0-P4) and raw (R0) books are supported,
+     * though in the raw book each level is a single offer
+     * @param {*} client
+     * @param {*} msg
+     */
+    onSubscribe(client, msg) {
+        if (!['book', 'ticker', 'trades'].includes(msg.channel) || msg.symbol !== this.symbol) {
+            this.send(client, { event: 'error', msg: 'symbol: invalid', code: 10300 })
+            return
+        }
+
+        const chanId = this.nextId()
+        if (msg.channel !== 'book') {
+            client.channels.set(chanId, msg.channel)
+            this.send(client, { event: 'subscribed', channel: msg.channel, chanId, symbol: this.symbol, currency: this.quoteCurrency })
+
+            // trades snapshots are newest first
+            const snapshot = msg.channel === 'ticker' ? this.ticker() : this.trades.map((t) => this.tradeToRaw(t)).reverse()
+            this.send(client, [chanId, snapshot])
+            return
+        }
+
+        const sub = { prec: msg.prec ?? 'P0', len: parseInt(msg.len ?? '25', 10) }
+        client.books.set(chanId, sub)
+        this.send(client, {
+            event: 'subscribed',
+            channel: 'book',
+            chanId,
+            symbol: this.symbol,
+            prec: sub.prec,
+            freq: msg.freq ?? 'F0',
+            len: `${sub.len}`,
+            currency: this.quoteCurrency,
+        })
+
+        this.send(client, [chanId, this.bookSnapshot(sub)])
+    }
+
+    /**
+     * Drop a subscription
+     * @param {*} client
+     * @param {*} msg
+     */
+    onUnsubscribe(client, msg) {
+        if (!client.books.has(msg.chanId) && !client.channels.has(msg.chanId)) {
+            this.send(client, { event: 'error', msg: 'unsubscribe: invalid', code: 10400 })
+            return
+        }
+
+        client.books.delete(msg.chanId)
+        client.channels.delete(msg.chanId)
+        this.send(client, { event: 'unsubscribed', status: 'OK', chanId: msg.chanId })
+    }
+
+    /**
+     * Input message (new offer, cancel offer) on channel 0
+     * @param {*} client
+     * @param {*} msg
+     */
+    onInput(client, msg) {
+        if (!client.authed || msg[0] !== 0) {
+            return
+        }
+
+        const type = msg[1]
+        const params = msg[3] ?? {}
+        switch (type) {
+            case 'fon':
+                this.newOffer(params)
+                break
+
+            case 'foc':
+                this.cancelOffer(params.id)
+                break
+
+            default:
+                log(`Unsupported input ${type}`)
+                break
+        }
+    }
+
+    /**
+     * A request to borrow funds (or lend, though we don't really care about that)
+     * @param {*} params
+     */
+    newOffer(params) {
+        const amount = parseFloat(params.amount)
+        const rate = parseFloat(params.rate)
+        const period = parseInt(params.period, 10)
+        if (params.symbol !== this.symbol || Number.isNaN(amount) || Number.isNaN(rate) || Number.isNaN(period)) {
+            this.notify('fon-req', null, 'ERROR', 'Invalid offer')
+            return
+        }
+
+        if (!['LIMIT', 'FRRDELTAVAR', 'FRRDELTAFIX'].includes(params.type ?? 'LIMIT') || period < 2 || period > 120) {
+            this.notify('fon-req', null, 'ERROR', `Invalid offer: type ${params.type}, period ${period}`)
+            return
+        }
+
+        if (Math.abs(amount) < this.minOfferSize) {
+            this.notify('fon-req', null, 'ERROR', `Invalid offer: incorrect amount, minimum is ${this.minOfferSize} ${this.quoteCurrency}`)
+            return
+        }
+
+        const now = Date.now()
+        const offer = {
+            id: this.nextId(),
+            createdAt: now,
+            updatedAt: now,
+            amount,
+            amountOrig: amount,
+            type: params.type ?? 'LIMIT',
+            flags: params.flags ?? 0,
+            status: 'ACTIVE',
+            rate,
+            period,
+        }
+
+        log(`New offer ${offer.id}: ${amount} @ ${rate} for ${period} days`)
+        this.offers.push(offer)
+        this.notify('fon-req', this.offerToRaw(offer), 'SUCCESS', `Submitting funding bid of ${Math.abs(amount)} ${this.quoteCurrency}`)
+        this.broadcastPrivate('fon', this.offerToRaw(offer))
+
+        this.matchOffers()
+    }
+
+    /**
+     * Cancel one of the open offers
+     * @param {*} id
+     */
+    cancelOffer(id) {
+        const offer = this.offers.find((o) => o.id === id)
+        if (!offer) {
+            this.notify('foc-req', null, 'ERROR', 'Offer not found')
+            return
+        }
+
+        log(`Cancel offer ${id}`)
+        this.offers = this.offers.filter((o) => o.id !== id)
+        offer.status = 'CANCELED'
+        offer.updatedAt = Date.now()
+        this.notify('foc-req', this.offerToRaw(offer), 'SUCCESS', 'Cancelled funding offer')
+        this.broadcastPrivate('foc', this.offerToRaw(offer))
+    }
+
+    /**
+     * Try and fill any open bids against the offers in the book
+     */
+    matchOffers() {
+        this.offers.forEach((offer) => {
+            // we only simulate the borrowing side
+            if (offer.amount >= 0) {
+                return
+            }
+
+            // FRR offers are priced relative to the FRR, and lenders must be offering at least the period asked for
+            const limit = offer.type === 'LIMIT' ? offer.rate : this.frr() + offer.rate
+            const candidates = this.book
+                .filter((l) => l.amount > 0 && l.rate <= limit && l.period >= offer.period)
+                .sort((a, b) => a.rate - b.rate)
+            for (const level of candidates) {
+                if (offer.amount >= 0) {
+                    break
+                }
+
+                const size = Math.min(level.amount, -offer.amount)
+                this.fill(offer, level, size)
+            }
+        })
+
+        // anything fully filled is done with
+        this.offers = this.offers.filter((o) => o.amount < 0)
+    }
+
+    /**
+     * The flash return rate. The real one is an average of recent trades, here it's the average of the offers in the book
+     * @returns
+     */
+    frr() {
+        const offers = this.book.filter((l) => l.amount > 0)
+        const total = offers.reduce((sum, l) => sum + l.amount, 0)
+        return total > 0 ? offers.reduce((sum, l) => sum + l.rate * l.amount, 0) / total : this.baseRate
+    }
+
+    /**
+     * Execute a fill between an offer of ours and a level in the book
+     * @param {*} offer
+     * @param {*} level
+     * @param {*} size
+     */
+    fill(offer, level, size) {
+        const now = Date.now()
+
+        // remove the liquidity from the book
+        level.amount -= size
+        if (level.amount <= 0.000001) {
+            level.count = 0
+            this.book = this.book.filter((l) => l !== level)
+        }
+        this.broadcastBook(level)
+
+        // update the offer
+        offer.amount += size
+        offer.updatedAt = now
+
+        log(`Fill on offer ${offer.id}: ${size.toFixed(4)} @ ${level.rate}`)
+        this.publicTrade(size, level.rate, offer.period)
+        this.broadcastPrivate('fte', [this.nextId(), this.symbol, now, offer.id, -size, level.rate, offer.period, 0])
+
+        // Create the new borrowing
+        const borrow = this.makeBorrow(size, level.rate, offer.period, now)
+        this.credits.push(borrow)
+        this.broadcastPrivate('fcn', this.borrowToRaw(borrow))
+
+        // and tell everyone about the state of the offer
+        if (offer.amount >= -0.000001) {
+            offer.amount = 0
+            offer.status = `EXECUTED at ${level.rate}(${offer.amountOrig})`
+            this.broadcastPrivate('foc', this.offerToRaw(offer))
+        } else {
+            offer.status = `PARTIALLY FILLED at ${level.rate}(${-size})`
+            this.broadcastPrivate('fou', this.offerToRaw(offer))
+        }
+    }
+
+    /**
+     * Move the book around a little, then see if anything fills
+     */
+    onTick() {
+        const offers = this.book.filter((l) => l.amount > 0)
+        const choice = Math.random()
+
+        if (choice < 0.2 && offers.length > 5) {
+            // remove a level
+            const level = this.pick(offers)
+            level.count = 0
+            this.book = this.book.filter((l) => l !== level)
+            this.broadcastBook(level)
+        } else if (choice < 0.45) {
+            // a new offer, sometimes cheaper than the rest of the book
+            const cheapest = offers.reduce((low, l) => Math.min(low, l.rate), this.baseRate * 2)
+            const rate = this.roundRate(cheapest * (0.97 + Math.random() * 0.3))
+            const period = this.pick([2, 2, 3, 7, 30])
+            let level = this.book.find((l) => l.rate === rate && l.period === period && l.amount > 0)
+            if (!level) {
+                level = { id: this.nextId(), rate, period, count: 0, amount: 0 }
+                this.book.push(level)
+            }
+
+            level.count += 1
+            level.amount += this.randomAmount()
+            this.broadcastBook(level)
+        } else if (offers.length > 0) {
+            // adjust the size of a level
+            const level = this.pick(offers)
+            level.amount = Math.max(50, level.amount * (0.5 + Math.random()))
+            this.broadcastBook(level)
+        }
+
+        // other people borrowing from the book now and then
+        if (Math.random() < 0.3 && offers.length > 0) {
+            const level = offers.reduce((low, l) => (l.rate < low.rate ? l : low))
+            const size = Math.min(level.amount, this.randomAmount() / 4)
+            level.amount -= size
+            if (level.amount <= 0.000001) {
+                level.count = 0
+                this.book = this.book.filter((l) => l !== level)
+            }
+
+            this.broadcastBook(level)
+            this.publicTrade(size, level.rate, level.period)
+        }
+
+        this.matchOffers()
+        this.broadcastChannel('ticker', this.ticker())
+    }
+
+    /**
+     * Record a trade and tell anyone subscribed to trades
+     * @param {*} amount
+     * @param {*} rate
+     * @param {*} period
+     */
+    publicTrade(amount, rate, period) {
+        const trade = { id: this.nextId(), at: Date.now(), amount, rate, period }
+        this.trades.push(trade)
+        this.trades = this.trades.slice(-30)
+
+        this.broadcastChannel('trades', 'fte', this.tradeToRaw(trade))
+        this.broadcastChannel('trades', 'ftu', this.tradeToRaw(trade))
+    }
+
+    /**
+     * The funding ticker
+     * @returns [FRR, BID, BID_PERIOD, BID_SIZE, ASK, ASK_PERIOD, ASK_SIZE, DAILY_CHANGE, DAILY_CHANGE_RELATIVE, LAST_PRICE, VOLUME, HIGH, LOW, _, _, FRR_AMOUNT_AVAILABLE]
+     */
+    ticker() {
+        const offers = this.book.filter((l) => l.amount > 0).sort((a, b) => a.rate - b.rate)
+        const bids = this.book.filter((l) => l.amount < 0).sort((a, b) => b.rate - a.rate)
+        const ask = offers[0] ?? { rate: 0, period: 0, amount: 0 }
+        const bid = bids[0] ?? { rate: 0, period: 0, amount: 0 }
+        const rates = this.trades.map((t) => t.rate)
+        const last = rates.length > 0 ? rates[rates.length - 1] : ask.rate
+        const volume = this.trades.reduce((sum, t) => sum + t.amount, 0)
+
+        return [
+            this.frr(),
+            bid.rate,
+            bid.period,
+            -bid.amount,
+            ask.rate,
+            ask.period,
+            ask.amount,
+            0,
+            0,
+            last,
+            volume,
+            rates.length > 0 ? Math.max(...rates) : last,
+            rates.length > 0 ? Math.min(...rates) : last,
+            null,
+            null,
+            offers.reduce((sum, l) => sum + l.amount, 0),
+        ]
+    }
+
+    /**
+     * Send something to every client subscribed to a ticker or trades channel
+     * @param {*} channel
+     * @param  {...any} data
+     */
+    broadcastChannel(channel, ...data) {
+        this.clients.forEach((c) => {
+            c.channels.forEach((name, chanId) => {
+                if (name === channel) {
+                    this.send(c, [chanId, ...data])
+                }
+            })
+        })
+    }
+
+    /**
+     * Heartbeats on the public channels, like the real thing
+     */
+    onHeartbeat() {
+        this.clients.forEach((c) => {
+            c.books.forEach((sub, chanId) => this.send(c, [chanId, 'hb']))
+            c.channels.forEach((name, chanId) => this.send(c, [chanId, 'hb']))
+
+            if (c.authed) {
+                this.send(c, [0, 'hb'])
+            }
+        })
+    }
+
+    /**
+     * Handle REST requests. Funding close, and reading credits, loans and offers are supported
+     * @param {*} req
+     * @param {*} res
+     */
+    onHttpRequest(req, res) {
+        const routes = {
+            '/v2/auth/w/funding/close': (params) => this.closeFunding(res, params.id),
+            [`/v2/auth/r/funding/credits/${this.symbol}`]: () =>
+                this.httpReply(
+                    res,
+                    200,
+                    this.credits.map((b) => this.borrowToRaw(b))
+                ),
+            [`/v2/auth/r/funding/loans/${this.symbol}`]: () =>
+                this.httpReply(
+                    res,
+                    200,
+                    this.loans.map((b) => this.borrowToRaw(b))
+                ),
+            [`/v2/auth/r/funding/offers/${this.symbol}`]: () =>
+                this.httpReply(
+                    res,
+                    200,
+                    this.offers.map((o) => this.offerToRaw(o))
+                ),
+        }
+
+        let body = ''
+        req.on('data', (chunk) => (body += chunk))
+        req.on('end', () => {
+            const route = routes[req.url]
+            if (req.method !== 'POST' || !route) {
+                this.httpReply(res, 404, ['error', 10020, 'Not Found'])
+                return
+            }
+
+            if (Math.random() < this.restFailures) {
+                log(`Failing ${req.url} with a 503`)
+                this.httpReply(res, 503, 'Service Unavailable')
+                return
+            }
+
+            if (!req.headers['bfx-apikey'] || !req.headers['bfx-signature'] || !req.headers['bfx-nonce']) {
+                this.httpReply(res, 500, ['error', 10100, 'apikey: invalid'])
+                return
+            }
+
+            if (!this.checkNonce(req.headers['bfx-apikey'], req.headers['bfx-nonce'])) {
+                this.httpReply(res, 500, ['error', 10114, 'nonce: small'])
+                return
+            }
+
+            let params = {}
+            try {
+                params = JSON.parse(body || '{}')
+            } catch (err) {
+                this.httpReply(res, 400, ['error', 10020, 'Invalid JSON'])
+                return
+            }
+
+            route(params)
+        })
+    }
+
+    /**
+     * Return some borrowing
+     * @param {*} res
+     * @param {*} id
+     */
+    closeFunding(res, id) {
+        const credit = this.credits.find((b) => b.id === id)
+        const loan = this.loans.find((b) => b.id === id)
+        const borrow = credit ?? loan
+        if (!borrow) {
+            this.httpReply(res, 500, ['error', 10020, 'funding: not found'])
+            return
+        }
+
+        log(`Closing funding ${id} for ${borrow.amount}`)
+        this.credits = this.credits.filter((b) => b.id !== id)
+        this.loans = this.loans.filter((b) => b.id !== id)
+        borrow.status = 'CLOSED'
+        borrow.updatedAt = Date.now()
+
+        const raw = this.borrowToRaw(borrow)
+        this.broadcastPrivate(credit ? 'fcc' : 'flc', raw)
+        this.httpReply(res, 200, [Date.now(), 'fcl-req', null, null, raw, null, 'SUCCESS', 'Funding closed'])
+    }
+
+    /**
+     * Nonces must always go up for an api key
+     * @param {*} key
+     * @param {*} nonce
+     * @returns true if the nonce is ok
+     */
+    checkNonce(key, nonce) {
+        const last = this.nonces.get(key) ?? (this.nonceAhead > 0 ? (Date.now() + this.nonceAhead) * 1000 : 0)
+        if (Number(nonce) <= last) {
+            log(`Rejecting nonce ${nonce} for ${key} (last was ${last})`)
+            this.nonces.set(key, last)
+            return false
+        }
+
+        this.nonces.set(key, Number(nonce))
+        return true
+    }
+
+    /**
+     * Send a JSON response
+     * @param {*} res
+     * @param {*} status
+     * @param {*} data
+     */
+    httpReply(res, status, data) {
+        res.writeHead(status, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(data))
+    }
+
+    /**
+     * Send a notification on channel 0
+     * @param {*} type
+     * @param {*} data
+     * @param {*} status
+     * @param {*} text
+     */
+    notify(type, data, status, text) {
+        this.broadcastPrivate('n', [Date.now(), type, null, null, data, null, status, text])
+    }
+
+    /**
+     * Send something to all authenticated clients
+     * @param {*} type
+     * @param {*} data
+     */
+    broadcastPrivate(type, data) {
+        this.clients.forEach((c) => {
+            if (c.authed) {
+                this.send(c, [0, type, data])
+            }
+        })
+    }
+
+    /**
+     * Send a change to a book level to anyone subscribed
+     * @param {*} level
+     */
+    broadcastBook(level) {
+        const checksum = this.checksum()
+        const drop = Math.random() < this.dropUpdates
+
+        this.clients.forEach((c) => {
+            c.books.forEach((sub, chanId) => {
+                if (!drop) {
+                    this.send(c, [chanId, this.levelToRaw(level, sub)])
+                }
+
+                if (c.checksum && sub.prec !== 'R0') {
+                    this.send(c, [chanId, 'cs', checksum])
+                }
+            })
+        })
+    }
+
+    /**
+     * A public trade in the shape the trades channel sends
+     * @param {*} t
+     * @returns [ID, MTS, AMOUNT, RATE, PERIOD]
+     */
+    tradeToRaw(t) {
+        return [t.id, t.at, t.amount, t.rate, t.period]
+    }
+
+    /**
+     * Send an object to a client
+     * @param {*} client
+     * @param {*} msg
+     */
+    send(client, msg) {
+        if (client.ws.readyState === WebSocket.OPEN) {
+            client.ws.send(JSON.stringify(msg))
+        }
+    }
+
+    /**
+     * The best few levels of the book on each side
+     * @param {*} sub
+     * @returns
+     */
+    bookSnapshot(sub) {
+        const offers = this.book.filter((l) => l.amount > 0).sort((a, b) => a.rate - b.rate)
+        const bids = this.book.filter((l) => l.amount < 0).sort((a, b) => b.rate - a.rate)
+        return bids
+            .slice(0, sub.len)
+            .concat(offers.slice(0, sub.len))
+            .map((l) => this.levelToRaw(l, sub))
+    }
+
+    /**
+     * Checksum of the book, worked out the same way the bot does
+     * @returns
+     */
+    checksum() {
+        const book = new OrderBook()
+        this.book.forEach((l) =>
+            book.update({
+                side: l.amount > 0 ? 'offer' : 'bid',
+                rate: l.rate,
+                period: l.period,
+                count: l.count,
+                amount: Math.abs(l.amount),
+            })
+        )
+
+        return book.checksum()
+    }
+
+    /**
+     * A book level in the format of the subscription
+     * aggregated: [rate, period, count, amount], raw: [id, period, rate, amount]
+     * removals are count 0 (aggregated) or rate 0 (raw), with an amount of 1 or -1
+     * @param {*} level
+     * @param {*} sub
+     * @returns
+     */
+    levelToRaw(level, sub) {
+        const amount = level.count === 0 ? Math.sign(level.amount || 1) : level.amount
+        if (sub.prec === 'R0') {
+            return [level.id, level.period, level.count === 0 ? 0 : level.rate, amount]
+        }
+
+        return [level.rate, level.period, level.count, amount]
+    }
+
+    /**
+     * Build a new borrow
+     * @param {*} amount
+     * @param {*} rate
+     * @param {*} period
+     * @param {*} opened
+     * @returns
+     */
+    makeBorrow(amount, rate, period, opened) {
+        return {
+            id: this.nextId(),
+            createdAt: opened,
+            updatedAt: opened,
+            amount,
+            status: 'ACTIVE',
+            rate,
+            period,
+            openedAt: opened,
+        }
+    }
+
+    /**
+     * Borrow to the array used in fcs / fcn etc
+     * @param {*} b
+     * @returns
+     */
+    borrowToRaw(b) {
+        return [
+            b.id,
+            this.symbol,
+            -1,
+            b.createdAt,
+            b.updatedAt,
+            b.amount,
+            0,
+            b.status,
+            'FIXED',
+            null,
+            null,
+            b.rate,
+            b.period,
+            b.openedAt,
+            b.openedAt,
+            0,
+            0,
+            null,
+            0,
+            null,
+            0,
+            `tBTC${this.quoteCurrency}`,
+        ]
+    }
+
+    /**
+     * Offer to the array used in fos / fon etc
+     * @param {*} o
+     * @returns
+     */
+    offerToRaw(o) {
+        return [
+            o.id,
+            this.symbol,
+            o.createdAt,
+            o.updatedAt,
+            o.amount,
+            o.amountOrig,
+            o.type,
+            null,
+            null,
+            o.flags,
+            o.status,
+            null,
+            null,
+            null,
+            o.rate,
+            o.period,
+            0,
+            0,
+            null,
+            0,
+            null,
+        ]
+    }
+
+    roundRate(r) {
+        return parseFloat(r.toFixed(8))
+    }
+
+    randomAmount() {
+        return Math.round(200 + Math.random() * 20000)
+    }
+
+    pick(list) {
+        return list[Math.floor(Math.random() * list.length)]
+    }
+}
+
+module.exports = BitfinexSim
@@ -0,0 +1,8 @@
+const goodbye = require('graceful-goodbye')
+const BitfinexSim = require('./bitfinex-sim')
+
+// Run a local fake Bitfinex, so the bot can be pointed at it (see bitfinex.wsUrl and bitfinex.restUrl in the config)
+const sim = new BitfinexSim()
+sim.start()
+
+goodbye(() => sim.stop())
@@ -1,17 +1,41 @@
 const config = require('../util/config')
+const OrderBook = require('../exchange/order-book')
+const RawOrderBook = require('../exchange/raw-order-book')
+const Reconciler = require('./reconciler')
+const Reaper = require('./reaper')
+const { BorrowPolicy, PolicyError } = require('./policy')
+const Notifier = require('../util/notify')
 const log = require('../util/log')('app')
 
+// The account snapshots that arrive after logging in (borrows used and unused, offers, positions, wallets)
+const accountSnapshots = ['fcs', 'fls', 'fos', 'ps', 'ws']
+
 class App {
     /**
      *
      * @param {*} socket
+     * @param {*} shared - a reconciler, reaper, policy and notifier to use instead of our own (the parts of a composite share its)
      */
-    constructor(socket) {
+    constructor(socket, shared = {}) {
         this.socket = socket
 
         // Set up handlers on the socket
         this.socket.on('update-offer', (offer) => this.onUpdateOffer(offer))
         this.socket.on('cancel-offer', (offer) => this.onCancelOffer(offer))
+        this.socket.on('update-bid', (bid) => this.onUpdateBid(bid))
+        this.socket.on('cancel-bid', (bid) => this.onCancelBid(bid))
+
+        this.socket.on('reset', () => this.onReset())
+        this.socket.on('disconnected', () => this.onDisconnected())
+        this.socket.on('snapshot', (type) => this.onSnapshot(type))
+
+        this.socket.on('clear-book', () => this.onClearBook())
+        this.socket.on('book-ready', () => this.onBookReady())
+        this.socket.on('book-resync', () => this.onBookResync())
+
+        this.socket.on('add-raw-offer', (offer) => this.onUpdateRawOffer(offer))
+        this.socket.on('update-raw-offer', (offer) => this.onUpdateRawOffer(offer))
+        this.socket.on('remove-raw-offer', (offer) => this.onRemoveRawOffer(offer))
 
         this.socket.on('update-borrow', (borrow) => this.onUpdateBorrow(borrow))
         this.socket.on('cancel-borrow', (borrow) => this.onCancelBorrow(borrow))
@@ -23,29 +47,85 @@ class App {
         this.socket.on('execute-trade', (trade) => this.onExecuteTrade(trade))
         this.socket.on('update-trade', (trade) => this.onUpdateTrade(trade))
 
+        this.socket.on('update-ticker', (ticker) => this.onUpdateTicker(ticker))
+        this.socket.on('public-trade', (trade) => this.onPublicTrade(trade))
+
         this.socket.on('update-wallet', (wallet) => this.onUpdateWallet(wallet))
         this.socket.on('update-position', (position) => this.onUpdatePosition(position))
 
+        this.socket.on('halted', (reason) => this.onHalted(reason))
+        this.socket.on('resumed', () => this.onResumed())
+
         // some settings
         this.interval = config.get('interval')
         this.minImprovement = config.get('minImprovement')
         this.minBorrowSize = config.get('minBorrowSize')
         this.showWalletPosition = config.get('showWalletPosition')
         this.symbol = config.get('bitfinex.symbol')
+        this.useRawBook = !!config.get('bitfinex.rawBook')
+
+        // how new borrowing is asked for
+        this.offerType = config.get('borrow.type', 'LIMIT')
+        this.offerPeriod = config.get('borrow.period', 2)
+        this.maxPeriod = config.get('borrow.maxPeriod', 30)
+        this.frrDelta = config.get('borrow.frrDelta', 0)
+        this.offerHidden = !!config.get('borrow.hidden', false)
+
+        // don't return borrowing that open positions still need. Returns held back are kept here (id -> borrow)
+        this.returnCheck = !!config.get('returnCheck.enabled', true)
+        this.returnBuffer = config.get('returnCheck.buffer', 0)
+        this.countUnfilled = !!config.get('returnCheck.countUnfilled', true)
+        this.deferredReturns = new Map()
+        this.retryingReturns = false
+
+        // when replacing borrowing is worth the cost
+        this.breakEven = !!config.get('breakEven.enabled', true)
+        this.minChargeHours = config.get('breakEven.minChargeHours', 1)
+        this.slippage = config.get('breakEven.slippage', 0) / 365 / 100
+        this.minSaving = config.get('breakEven.minSaving', 0)
 
         // the order book and loan book
         this.borrows = []
-        this.offers = []
+        this.book = new OrderBook()
+        this.rawBook = new RawOrderBook()
         this.orders = []
         this.wallets = []
         this.positions = []
 
+        // the wider market - the funding ticker (with FRR) and recent public trades
+        this.ticker = null
+        this.marketTrades = []
+        this.tradeWindow = config.get('tradeWindow', 60 * 60 * 1000)
+
         this.netUsing = 0
         this.netUnused = 0
 
+        // no decisions are made until we have a full snapshot of the book and the account
+        this.bookReady = false
+        this.pendingSnapshots = new Set(accountSnapshots)
+        this.snapshotTimeout = 30000
+        this.snapshotTimer = null
+
         this.pauseUntil = Date.now() + 5000
         this.eventCount = 0
 
+        // periodically check our view of the account against the REST API
+        this.reconcileInterval = config.get('reconcileInterval', 0)
+        if (shared.reconciler) {
+            this.reconciler = shared.reconciler
+        } else {
+            this.reconciler = new Reconciler(this, this.reconcileInterval)
+            this.reconciler.on('report', (report) => this.onReconcileReport(report))
+        }
+        this.lastReconcile = null
+
+        // optionally return funding beyond what positions need
+        this.reaper = shared.reaper ?? new Reaper(this)
+
+        // hard limits on new borrowing, and who to tell when something needs attention
+        this.policy = shared.policy ?? new BorrowPolicy()
+        this.notifier = shared.notifier ?? new Notifier()
+
         // setting to 'go bing' when we want to borrow. Will happen, even in dry run, so you can notice
         this.bell = config.get('soundOnChange') ? ' <bong>\u0007' : ''
     }
@@ -87,6 +167,14 @@ class App {
         } else {
             log('State logging disabled. set `interval` in the config to enable')
         }
+
+        if (this.reconcileInterval) {
+            this.reconciler.start()
+        }
+
+        if (this.reaper.enabled) {
+            this.reaper.start()
+        }
     }
 
     /**
@@ -94,6 +182,21 @@ class App {
      */
     async beforeShutdown() {
         log(`Stopping App...`)
+        this.reconciler.stop()
+        this.reaper.stop()
+    }
+
+    /**
+     * The reconciler has compared our state with the exchange
+     * @param {*} report
+     */
+    onReconcileReport(report) {
+        this.lastReconcile = report
+
+        const drift = report.borrows.drift + report.orders.drift
+        if (drift > 0) {
+            log(`Reconciled with exchange. Corrected ${report.borrows.drift} borrows and ${report.orders.drift} offers${this.bell}`)
+        }
     }
 
     /**
@@ -101,10 +204,53 @@ class App {
      * @param {*} wallet
      */
     onUpdateWallet(wallet) {
-        this.wallets = this.wallets.filter((w) => w.type !== wallet.type && w.currency !== wallet.currency)
+        this.wallets = this.wallets.filter((w) => w.type !== wallet.type || w.currency !== wallet.currency)
         this.wallets.push(wallet)
     }
 
+    /**
+     * Called when the funding ticker changes (FRR, best bid and ask, volume)
+     * @param {*} ticker
+     */
+    onUpdateTicker(ticker) {
+        this.ticker = ticker
+    }
+
+    /**
+     * Called when funding is traded in the public market (by anyone)
+     * @param {*} trade
+     */
+    onPublicTrade(trade) {
+        const cutoff = Date.now() - this.tradeWindow
+        this.marketTrades = this.marketTrades.filter((t) => t.createdAt >= cutoff && t.id !== trade.id)
+        if (trade.createdAt >= cutoff) {
+            this.marketTrades.push(trade)
+        }
+    }
+
+    /**
+     * The current Flash Return Rate (or null if we haven't heard it yet)
+     * @returns
+     */
+    frr() {
+        return this.ticker ? this.ticker.frr : null
+    }
+
+    /**
+     * The average rate (weighted by size) that funding has actually traded at recently (or null if nothing has)
+     * @returns
+     */
+    tradedRate() {
+        const cutoff = Date.now() - this.tradeWindow
+        const trades = this.marketTrades.filter((t) => t.createdAt >= cutoff)
+        const volume = trades.reduce((sum, t) => sum + Math.abs(t.amount), 0)
+        if (volume === 0) {
+            return null
+        }
+
+        return trades.reduce((sum, t) => sum + Math.abs(t.amount) * t.rate, 0) / volume
+    }
+
     /**
      * Called when the position is updated by the exchange
      * @param {*} position
@@ -119,13 +265,7 @@ class App {
      * @param {*} offer
      */
     onUpdateOffer(offer) {
-        // insert and replace the orders at this rate
-        // done as delete + insert
-        this.offers = this.offers.filter((o) => o.rate !== offer.rate)
-        this.offers.push(offer)
-
-        // resort the book, so the cheapest item is first (sorted by rate, then period-longest first)
-        this.sortOffers()
+        this.book.update(offer)
     }
 
     /**
@@ -133,10 +273,154 @@ class App {
      * @param {*} offer
      */
     onCancelOffer(offer) {
-        this.offers = this.offers.filter((o) => o.rate !== offer.rate)
+        this.book.remove(offer)
         this.eventCount += 1
     }
 
+    /**
+     * Called when a bid is added or updated
+     * @param {*} bid
+     */
+    onUpdateBid(bid) {
+        this.book.update(bid)
+    }
+
+    /**
+     * Called when a bid is cancelled
+     * @param {*} bid
+     */
+    onCancelBid(bid) {
+        this.book.remove(bid)
+    }
+
+    /**
+     * A new session with the exchange has started. Everything we know is about to be sent again as snapshots,
+     * so throw away our current state and wait for them all to arrive before doing anything else
+     */
+    onReset() {
+        log('New session - rebuilding state from fresh snapshots...')
+        this.borrows = []
+        this.orders = []
+        this.wallets = []
+        this.positions = []
+        this.ticker = null
+        this.marketTrades = []
+        this.book.clear()
+        this.rawBook.clear()
+        this.updateNet()
+
+        this.waitForSnapshots()
+    }
+
+    /**
+     * Lost the connection. Nothing we know can be trusted until we are back and have fresh snapshots
+     */
+    onDisconnected() {
+        log('Disconnected - pausing until reconnected')
+        this.waitForSnapshots()
+    }
+
+    /**
+     * Stop making decisions until all the snapshots have arrived
+     * If they don't all turn up in a reasonable time, carry on anyway
+     */
+    waitForSnapshots() {
+        this.bookReady = false
+        this.pendingSnapshots = new Set(accountSnapshots)
+
+        clearTimeout(this.snapshotTimer)
+        this.snapshotTimer = setTimeout(() => {
+            if (this.pendingSnapshots.size > 0) {
+                log(`Still waiting for snapshots (${Array.from(this.pendingSnapshots).join(', ')}). Carrying on without them`)
+                this.pendingSnapshots.clear()
+                this.checkSynced()
+            }
+        }, this.snapshotTimeout)
+    }
+
+    /**
+     * One of the account snapshots has arrived
+     * @param {*} type
+     */
+    onSnapshot(type) {
+        this.pendingSnapshots.delete(type)
+        this.checkSynced()
+    }
+
+    /**
+     * If we have everything now, allow decisions again (after a moment for things to settle)
+     */
+    checkSynced() {
+        if (!this.isSynced()) {
+            return
+        }
+
+        clearTimeout(this.snapshotTimer)
+        this.snapshotTimer = null
+        this.pauseUntil = Math.max(this.pauseUntil, Date.now() + 5000)
+        log('All snapshots received')
+    }
+
+    /**
+     * true once we have a full snapshot of both the book and the account
+     * @returns
+     */
+    isSynced() {
+        return this.bookReady && this.pendingSnapshots.size === 0
+    }
+
+    /**
+     * A new snapshot of the book is about to arrive, so throw away what we have
+     */
+    onClearBook() {
+        this.book.clear()
+    }
+
+    /**
+     * A full snapshot of the book has arrived
+     */
+    onBookReady() {
+        if (this.bookReady) {
+            return
+        }
+
+        log('Order book ready')
+        this.bookReady = true
+        this.checkSynced()
+    }
+
+    /**
+     * The book is out of sync with the exchange and is being fetched again. Stop making decisions until it arrives
+     */
+    onBookResync() {
+        log('Order book out of sync - pausing until a fresh snapshot arrives')
+        this.bookReady = false
+    }
+
+    /**
+     * true if the app should not be making any decisions right now
+     * @returns
+     */
+    isPaused() {
+        return Date.now() < this.pauseUntil || !this.isSynced()
+    }
+
+    /**
+     * Called when an individual offer in the raw book is added or updated
+     * @param {*} offer
+     */
+    onUpdateRawOffer(offer) {
+        this.rawBook.update(offer)
+    }
+
+    /**
+     * Called when an individual offer leaves the raw book
+     * @param {*} offer
+     */
+    onRemoveRawOffer(offer) {
+        this.rawBook.remove(offer)
+    }
+
     /**
      * Called when a borrow is added or updated
      * @param {*} borrow
@@ -146,12 +430,10 @@ class App {
         this.borrows.push(borrow)
         this.sortBorrows()
         this.eventCount += 1
+        this.updateNet()
 
-        if (borrow.type === 'using') {
-            this.netUsing += borrow.amount
-        } else {
-            this.netUnused += borrow.amount
-        }
+        // more borrowing might mean returns held back earlier can go now
+        this.retryDeferredReturns()
     }
 
     /**
@@ -161,12 +443,15 @@ class App {
     onCancelBorrow(borrow) {
         this.borrows = this.borrows.filter((b) => b.id !== borrow.id)
         this.eventCount += 1
+        this.updateNet()
+    }
 
-        if (borrow.type === 'using') {
-            this.netUsing -= borrow.amount
-        } else {
-            this.netUnused -= borrow.amount
-        }
+    /**
+     * Work out the totals of used and unused borrowing from the current borrows
+     */
+    updateNet() {
+        this.netUsing = this.borrows.filter((b) => b.type === 'using').reduce((sum, b) => sum + b.amount, 0)
+        this.netUnused = this.borrows.filter((b) => b.type !== 'using').reduce((sum, b) => sum + b.amount, 0)
     }
 
     onNewOrder(order) {
@@ -212,65 +497,276 @@ class App {
      */
     onTimer() {
         this.logBorrowState()
+        this.retryDeferredReturns()
     }
 
     /**
      * Whats the best rate we could offer that would still have enough liquidity to fill our order
-     * @param {*} book
+     * Only offers at or below maxRate, for at least minPeriod days, are considered
      * @param {*} amount
+     * @param {*} maxRate
+     * @param {*} minPeriod
      * @returns
      */
-    findTargetRateToBorrow(book, amount) {
-        // track the rate to borrow at and how much is left to fill
-        let rate = book[0].rate
-        let balance = amount
-
+    findTargetRateToBorrow(amount, maxRate = Infinity, minPeriod = 0) {
         // simulate filling all the orders, finding the target rate (eg slippage needed to fill amount)
-        book.forEach((b) => {
-            if (balance > 0) {
-                rate = b.rate
-            }
-
-            balance -= b.amount
-        })
-
-        return rate
+        return this.book.rateToFill(amount, maxRate, minPeriod)
     }
 
     /**
      * Borrow some funds please
+     * Resolves with the id of the new offer (null if nothing was placed),
+     * or rejects with the reason the exchange refused it
      * @param {*} amount
      * @param {*} rate
+     * @param {*} options - override the configured offer { type, period, hidden }
+     * @returns {Promise}
      */
-    borrowFunds(amount, rate) {
+    async borrowFunds(amount, rate, options = {}) {
         if (amount < this.minBorrowSize) {
             log(`${this.f2(amount)} is below min borrow size of ${this.minBorrowSize}`)
-            return
+            return null
+        }
+
+        const offer = {
+            type: this.offerType,
+            period: options.period ?? this.choosePeriod(amount, rate),
+            hidden: this.offerHidden,
+            ...options,
+        }
+
+        // FRR offers are priced as an offset from the FRR, rather than at the rate we worked out
+        const offerRate = offer.type === 'LIMIT' ? rate : this.frrDelta
+
+        // Check it against the hard limits. For FRR offers all we can go on is what FRR is now
+        const frr = this.frr()
+        const worstRate = offer.type === 'LIMIT' ? rate : frr === null ? null : frr + this.frrDelta
+        const refused = this.policy.check(this.borrows, amount, worstRate, this.openOffers())
+        if (refused) {
+            this.notifier.send(`Refused to borrow ${this.f4(amount)} ${this.symbol}: ${refused}`)
+            throw new PolicyError(refused)
+        }
+        const priced =
+            offer.type === 'LIMIT' ? `Limit Rate ${this.apr(rate)}% (${this.f8(rate)})` : `${offer.type} FRR + ${this.f8(offerRate)}`
+
+        log(`Borrow ${this.f4(amount)} for ${offer.period} days. ${priced} ${this.bell}`)
+        if (this.useRawBook) {
+            const matches = this.rawBook.matchesFor(amount, rate)
+            const matched = matches.reduce((sum, o) => sum + o.amount, 0)
+            log(`Would match ${matches.length} offers for ${this.f4(matched)}: ${matches.map((o) => o.id).join(', ')}`)
+        }
+
+        try {
+            return await this.socket.borrowFunds(amount, offerRate, offer)
+        } catch (err) {
+            log(`Offer to borrow ${this.f4(amount)} rejected: ${err.message}`)
+            throw err
+        }
+    }
+
+    /**
+     * Decide how many days to borrow for. Uses the configured period, or when that is 'auto',
+     * the longest period (up to maxPeriod) that the book has enough offers at or below the rate to fill
+     * @param {*} amount
+     * @param {*} rate
+     * @returns
+     */
+    choosePeriod(amount, rate) {
+        if (this.offerPeriod !== 'auto') {
+            return this.offerPeriod
         }
 
-        log(`Borrow ${this.f4(amount)}. Limit Rate ${this.apr(rate)}% (${this.f8(rate)}) ${this.bell}`)
-        this.socket.borrowFunds(amount, rate)
+        const periods = Array.from(this.book.liquidityByPeriod(rate).keys())
+            .filter((p) => p >= 2 && p <= this.maxPeriod)
+            .sort((a, b) => b - a)
+
+        return periods.find((p) => this.book.liquidity(rate, p) >= amount) ?? 2
+    }
+
+    /**
+     * Cancel some of our offers. Failures (eg the offer has already filled) are logged, not thrown
+     * @param {*} ids
+     */
+    async cancelOffers(ids) {
+        try {
+            await this.socket.cancelOffers(ids)
+        } catch (err) {
+            log(`Failed to cancel offers: ${err.message}`)
+        }
     }
 
     /**
      * return some borrowing
+     * If the exchange stops us part way through (eg the API key is rejected), pause for a while
+     * rather than carrying on as if it had worked
+     * Borrows that open positions still need are held back (see checkReturns), as are any the circuit breaker
+     * or kill switch stops. Both are tried again later (see retryDeferredReturns)
      * @param {*} items
+     * @returns { returned: [], skipped: [], failed: [], deferred: [] }
      */
     async returnManyBorrows(items) {
-        if (items.length === 0) {
-            return
+        const allowed = this.checkReturns(items)
+        const deferred = items.filter((b) => !allowed.includes(b))
+        if (allowed.length === 0) {
+            return { returned: [], skipped: [], failed: [], deferred }
         }
 
-        await this.socket.returnManyBorrows(items)
+        try {
+            const result = await this.socket.returnManyBorrows(allowed)
+            if (result.failed.length > 0 || result.skipped.length > 0 || result.deferred.length > 0) {
+                log(
+                    `Returned ${result.returned.length} borrows. ${result.skipped.length} already gone, ${result.failed.length} failed, ${result.deferred.length} halted`
+                )
+            }
+
+            result.deferred.forEach((b) => this.deferredReturns.set(b.id, b))
+            return { ...result, deferred: deferred.concat(result.deferred) }
+        } catch (err) {
+            this.onReturnHalted(err)
+            return { returned: [], skipped: [], failed: allowed, deferred }
+        }
     }
 
     /**
      * Return a single item of borrowing
      * @param {*} borrow
-     * @returns
+     * @returns true if it was returned (or had already gone). false if it failed or has been deferred
      */
     async returnBorrow(borrow) {
-        return this.socket.returnBorrow(borrow)
+        if (this.checkReturns([borrow]).length === 0) {
+            return false
+        }
+
+        try {
+            const result = await this.socket.returnManyBorrows([borrow])
+            result.deferred.forEach((b) => this.deferredReturns.set(b.id, b))
+            return result.failed.length === 0 && result.deferred.length === 0
+        } catch (err) {
+            this.onReturnHalted(err)
+            return false
+        }
+    }
+
+    /**
+     * How much funding open positions need, beyond what the margin wallet can cover itself.
+     * Only long positions priced in our currency are counted (shorts borrow the other currency)
+     * @returns
+     */
+    fundingRequired() {
+        const currency = this.symbol.slice(1)
+        const needed = this.positions
+            .filter((p) => p.status === 'active' && p.amount > 0 && p.symbol.endsWith(currency))
+            .reduce((sum, p) => sum + p.amount * p.basePrice, 0)
+        const own = this.wallets
+            .filter((w) => w.type === 'margin' && w.currency === currency)
+            .reduce((sum, w) => sum + Math.max(w.balance, 0), 0)
+
+        return Math.max(needed - own, 0)
+    }
+
+    /**
+     * Pick out the borrows that can be returned without leaving open positions short of funding (which
+     * Bitfinex would cover by borrowing again at FRR). Anything else is deferred, and tried again when
+     * more borrowing arrives. What is still to fill on our offers counts as borrowed, unless countUnfilled is off
+     * @param {*} items - the most important to return first
+     * @returns the borrows that can be returned now
+     */
+    checkReturns(items) {
+        if (!this.returnCheck) {
+            return items
+        }
+
+        const required = this.fundingRequired() + this.returnBuffer
+        let borrowed = this.borrows.reduce((sum, b) => sum + b.amount, 0) + this.unfilledAmount()
+        const allowed = []
+        const deferred = []
+        for (const b of items) {
+            // one we don't know about has gone already, so returning it can't leave anything short
+            const known = this.borrows.some((el) => el.id === b.id)
+            if (!known || borrowed - b.amount >= required - 0.000001) {
+                allowed.push(b)
+                borrowed -= known ? b.amount : 0
+            } else {
+                deferred.push(b)
+            }
+        }
+
+        allowed.forEach((b) => this.deferredReturns.delete(b.id))
+        const fresh = deferred.filter((b) => !this.deferredReturns.has(b.id))
+        deferred.forEach((b) => this.deferredReturns.set(b.id, b))
+        if (fresh.length > 0) {
+            const amount = fresh.reduce((sum, b) => sum + b.amount, 0)
+            log(
+                `Deferring the return of ${fresh.length} borrows for ${this.f2(amount)}. Positions need ${this.f2(required)} of the ${this.f2(borrowed)} borrowed`
+            )
+        }
+
+        return allowed
+    }
+
+    /**
+     * How much is still to fill on our open offers, if that counts towards what is borrowed when checking returns
+     * @returns
+     */
+    unfilledAmount() {
+        if (!this.countUnfilled) {
+            return 0
+        }
+
+        return this.openOffers().reduce((sum, o) => sum + Math.abs(o.amountRemaining), 0)
+    }
+
+    /**
+     * Try again to return the borrows that were held back last time (positions needed them, or account changes were halted)
+     */
+    async retryDeferredReturns() {
+        if (this.deferredReturns.size === 0 || this.retryingReturns || this.socket.haltedBecause() !== null) {
+            return
+        }
+
+        // forget any that have gone since (eg expired)
+        const waiting = this.borrows.filter((b) => this.deferredReturns.has(b.id))
+        this.deferredReturns = new Map(waiting.map((b) => [b.id, b]))
+
+        this.retryingReturns = true
+        try {
+            const ready = this.checkReturns(waiting)
+            if (ready.length > 0) {
+                log(`Returning ${ready.length} deferred borrows`)
+                await this.returnManyBorrows(ready)
+            }
+        } finally {
+            this.retryingReturns = false
+        }
+    }
+
+    /**
+     * Returning borrows hit an error that will stop anything else from working too
+     * @param {*} err
+     */
+    onReturnHalted(err) {
+        log(`Unable to return borrowing (${err.name}). Pausing for 5 minutes${this.bell}`)
+        this.pauseUntil = Math.max(this.pauseUntil, Date.now() + 5 * 60 * 1000)
+    }
+
+    /**
+     * The circuit breaker or kill switch has stopped all account changes. Monitoring carries on,
+     * but cancel our open offers, so nothing is left to fill while we can't act on it
+     * @param {*} reason
+     */
+    async onHalted(reason) {
+        log(`Account changes halted (${reason}). Carrying on as if in dry run`)
+        if (this.orders.length > 0) {
+            await this.cancelOffers(this.orders.map((o) => o.id))
+        }
+    }
+
+    /**
+     * The kill switch has been turned off, so account changes can carry on
+     */
+    onResumed() {
+        log('Account changes resumed')
+        this.retryDeferredReturns()
     }
 
     /**
@@ -291,16 +787,125 @@ class App {
         }
     }
 
+    /**
+     * The borrows this strategy is allowed to replace. All of them, unless something else is looking after some
+     * @returns
+     */
+    replaceableBorrows() {
+        return this.borrows
+    }
+
+    /**
+     * Estimate the interest saved by replacing some borrows with new borrowing at rate, for period days.
+     * Each borrow only saves until it would have expired anyway (or the new borrowing runs out, if sooner).
+     * Against that, the new borrowing is charged for at least minChargeHours, and may fill worse than rate by the slippage
+     * @param {*} borrows
+     * @param {*} rate - null if there is nothing to borrow at
+     * @param {*} period
+     * @returns { saving, gross, minCharge } in the borrowed currency, with the net saving of each borrow in savings.
+     *  null if there is no rate
+     */
+    expectedSaving(borrows, rate, period) {
+        if (rate === null) {
+            return null
+        }
+
+        const day = 1000 * 60 * 60 * 24
+        const minChargeDays = this.minChargeHours / 24
+        const newRate = rate + this.slippage
+        const now = Date.now()
+
+        const savings = borrows.map((b) => {
+            const days = Math.min(Math.max((b.expiresAt - now) / day, 0), period)
+            const gross = b.amount * (b.rate - newRate) * days
+            const minCharge = b.amount * newRate * Math.max(minChargeDays - days, 0)
+            return { borrow: b, gross, minCharge, saving: gross - minCharge }
+        })
+
+        return {
+            saving: savings.reduce((sum, s) => sum + s.saving, 0),
+            gross: savings.reduce((sum, s) => sum + s.gross, 0),
+            minCharge: savings.reduce((sum, s) => sum + s.minCharge, 0),
+            savings,
+        }
+    }
+
+    /**
+     * Is an expected saving (from expectedSaving) worth acting on
+     * @param {*} expected
+     * @returns
+     */
+    paysOff(expected) {
+        if (expected === null) {
+            return false
+        }
+
+        return !this.breakEven || expected.saving > this.minSaving
+    }
+
+    /**
+     * Just the borrows that would save something if replaced at rate, for period days
+     * @param {*} borrows
+     * @param {*} rate
+     * @param {*} period
+     * @returns
+     */
+    worthReplacing(borrows, rate, period) {
+        if (rate === null) {
+            return []
+        }
+
+        if (!this.breakEven) {
+            return borrows
+        }
+
+        return this.expectedSaving(borrows, rate, period)
+            .savings.filter((s) => s.saving > 0)
+            .map((s) => s.borrow)
+    }
+
+    /**
+     * Describe an expected saving, for the logs
+     * @param {*} expected
+     * @returns
+     */
+    savingStr(expected) {
+        if (expected === null) {
+            return 'nothing (there is no rate to borrow at)'
+        }
+
+        return `${this.f4(expected.saving)} ${this.symbol} (saves ${this.f4(expected.gross)}, less ${this.f4(expected.minCharge)} min charge)`
+    }
+
     /**
      * Given the current order book, find all the offers cheaper than the given rate
-     * @param {*} orderBook
      * @param {*} rate
+     * @param {*} minPeriod
      * @returns
      */
-    orderBookCheaperThan(orderBook, rate) {
+    orderBookCheaperThan(rate, minPeriod = 0) {
         // adjust the rate to ensure we find something cheaper by enough to bother
         const targetRate = rate - this.minImprovement
-        return orderBook.filter((el) => el.rate <= targetRate)
+        return this.book.offersAtOrBelow(targetRate, minPeriod)
+    }
+
+    /**
+     * How much is on offer, cheaper than the given rate by at least minImprovement
+     * @param {*} rate
+     * @param {*} minPeriod
+     * @returns
+     */
+    liquidityCheaperThan(rate, minPeriod = 0) {
+        const targetRate = rate - this.minImprovement
+        return this.book.liquidity(targetRate, minPeriod)
+    }
+
+    /**
+     * All our open funding offers, including any placed by something else running on this account
+     * @returns
+     */
+    openOffers() {
+        return this.orders
     }
 
     /**
@@ -335,17 +940,6 @@ class App {
         return `${Math.ceil(timeRemaining / (60 * 60 * 24))} d`
     }
 
-    /**
-     * Sorts the offers into best first
-     * Cheapest offers first, longest period offers first
-     */
-    sortOffers() {
-        this.offers.sort((a, b) => {
-            const s = a.rate - b.rate
-            return s === 0 ? b.period - a.period : s
-        })
-    }
-
     /**
      * Sorts the borrows table into order. Worst borrow first
      * So, high interest, short period first, low interest, long period last
@@ -406,14 +1000,25 @@ class App {
                 log(`${p.symbol} ${this.f4(p.amount)} @ ${this.f2(p.basePrice)}, cost ${this.f2(cost)}`)
             })
 
-            const sumOfBalances = this.wallets.reduce((sum, w) => sum + w.balance, 0)
             const sumOfPositions = this.positions.reduce((sum, p) => sum + p.amount * p.basePrice, 0)
-            const neededBorrowing = sumOfPositions > sumOfBalances ? sumOfPositions - sumOfBalances : 0
-            log(`Sum of positions: ${this.f2(sumOfPositions)}. Expected Borrowing: ${this.f2(neededBorrowing)}`)
+            log(`Sum of positions: ${this.f2(sumOfPositions)}. Expected Borrowing: ${this.f2(this.fundingRequired())}`)
+            if (this.deferredReturns.size > 0) {
+                const deferred = Array.from(this.deferredReturns.values()).reduce((sum, b) => sum + b.amount, 0)
+                log(`Deferred returns: ${this.deferredReturns.size} borrows for ${this.f2(deferred)}, waiting for more funding`)
+            }
         }
 
+        // nothing to summarise (eg the borrows snapshot hasn't arrived since we reconnected)
         const borrows = this.borrows
-        const book = this.offers
+        if (borrows.length === 0) {
+            log('\nBorrows')
+            log(this.isSynced() ? 'No active borrows' : 'Waiting for fresh snapshots...')
+            log('')
+            this.eventCount = 0
+            return
+        }
+
+        const bestOffer = this.book.bestOffer()
 
         // first expiries time
         const nextExpiryTime = this.nextExpiry(borrows)
@@ -421,7 +1026,6 @@ class App {
 
         const top = borrows[0]
         const last = borrows[borrows.length - 1]
-        const lowRate = book[0].rate
         const scaledRate = borrows.reduce((sum, b) => sum + b.rate * b.amount, 0)
         const totalBorrowed = borrows.reduce((sum, b) => sum + b.amount, 0)
         const avgRate = scaledRate / totalBorrowed
@@ -431,8 +1035,52 @@ class App {
         log(`Worst : ${this.apr(top.rate)}% APR (${this.f8(top.rate)}). ${this.f4(top.amount)} ${this.symbol} used`)
         log(`Best  : ${this.apr(last.rate)}% APR (${this.f8(last.rate)}). ${this.f4(last.amount)} ${this.symbol} used`)
         log(`Avg   : ${this.apr(avgRate)}% APR (${this.f8(avgRate)}). ${this.f4(totalBorrowed)} ${this.symbol} total used`)
-        log(`Best Offer   : ${this.apr(lowRate)}% APR (${this.f8(lowRate)}). ${this.f4(this.offers[0].amount)} available`)
+        if (bestOffer) {
+            log(`Best Offer   : ${this.apr(bestOffer.rate)}% APR (${this.f8(bestOffer.rate)}). ${this.f4(bestOffer.amount)} available`)
+            if (this.useRawBook) {
+                log(`Raw Book     : ${this.rawBook.offers().length} offers, ${this.rawBook.countAtRate(bestOffer.rate)} at the best rate`)
+            }
+        }
         log(`Net          : Using: ${this.f2(this.netUsing)}, Unused: ${this.f2(this.netUnused)}`)
+
+        const health = this.socket.getHealth()
+        const lastMessage = health.lastMessageAt ? `${this.f0((Date.now() - health.lastMessageAt) / 1000)}s ago` : 'never'
+        log(`Connection   : ${health.connected ? 'Up' : 'Down'}. Last message ${lastMessage}. ${health.reconnectCount} reconnects`)
+        const halted = this.socket.haltedBecause()
+        if (halted !== null) {
+            log(`Halted       : ${halted}. No borrowing or returns`)
+        }
+
+        if (this.lastReconcile) {
+            const r = this.lastReconcile
+            const ago = this.f0((Date.now() - r.at) / 1000)
+            log(`Reconciled   : ${ago}s ago. Drift: ${r.borrows.drift} borrows, ${r.orders.drift} offers`)
+        }
+
+        const frr = this.frr()
+        if (frr !== null) {
+            const t = this.ticker
+            log(`\nMarket`)
+            log(`FRR          : ${this.apr(frr)}% APR (${this.f8(frr)}). Our average is ${this.apr(avgRate - frr)}% APR from FRR`)
+            log(`Bid / Ask    : ${this.apr(t.bid)}% / ${this.apr(t.ask)}% APR. Volume ${this.f2(t.volume)}`)
+        }
+
+        const traded = this.tradedRate()
+        if (traded !== null) {
+            const mins = this.f0(this.tradeWindow / 60000)
+            log(
+                `Traded       : ${this.apr(traded)}% APR (${this.f8(traded)}) over ${this.marketTrades.length} trades in the last ${mins} minutes`
+            )
+        }
+
+        const paper = this.socket.paperSummary()
+        if (paper) {
+            log('\nPaper Trading')
+            log(`Paper : ${this.apr(paper.paperRate)}% APR (${this.f8(paper.paperRate)}). ${this.f2(paper.paperTotal)} borrowed`)
+            log(`Real  : ${this.apr(paper.realRate)}% APR (${this.f8(paper.realRate)}). ${this.f2(paper.realTotal)} borrowed`)
+            log(`Interest since start: Paper ${this.f4(paper.paperInterest)}, Real ${this.f4(paper.realInterest)}`)
+        }
+
         log('')
 
         this.eventCount = 0
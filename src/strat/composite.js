@@ -0,0 +1,154 @@
+const App = require('./app')
+const ReplaceIfCheaperApp = require('./replace-if-cheaper')
+const TargetApp = require('./target')
+const Coordinator = require('./coordinator')
+const log = require('../util/log')('app-composite')
+
+/**
+ * Replace, as part of a composite. Claims the borrows it is replacing while it does so
+ */
+class ReplacePart extends ReplaceIfCheaperApp {
+    constructor(socket, coordinator) {
+        super(socket, coordinator.shared())
+        this.coordinator = coordinator
+    }
+
+    openOffers() {
+        return this.coordinator.openOffers()
+    }
+
+    replaceableBorrows() {
+        return this.coordinator.unclaimed(this.borrows)
+    }
+
+    async replaceBorrowing(amount, rate, toReplace, period) {
+        this.coordinator.claim('replace', toReplace)
+        try {
+            return await super.replaceBorrowing(amount, rate, toReplace, period)
+        } finally {
+            this.coordinator.unclaim('replace', toReplace)
+        }
+    }
+}
+
+/**
+ * Target, as part of a composite. Leaves alone any borrows replace has claimed
+ */
+class TargetPart extends TargetApp {
+    constructor(socket, coordinator) {
+        super(socket, coordinator.shared())
+        this.coordinator = coordinator
+    }
+
+    openOffers() {
+        return this.coordinator.openOffers()
+    }
+
+    replaceableBorrows() {
+        return this.coordinator.unclaimed(this.borrows)
+    }
+
+    /**
+     * Replace has taken some borrows. Fills so far carry over to the rest, but our offer was sized to cover
+     * the claimed ones too, so cancel it. A new one is placed for what is left next interval
+     * @param {*} borrows
+     */
+    onBorrowsClaimed(borrows) {
+        this.fillLock.runLocked(async () => {
+            const before = this.tooExpensive.length
+            this.tooExpensive = this.tooExpensive.filter((b) => !borrows.some((c) => c.id === b.id))
+            if (this.tooExpensive.length < before) {
+                log(`Replace has claimed ${before - this.tooExpensive.length} of the borrows target was working on. Cancelling its offer`)
+                await this.cancelAllOrders()
+            }
+        })
+    }
+}
+
+/**
+ * Runs replace and target together. Target works the borrowing down gradually, while replace grabs
+ * unusually cheap offers as soon as they appear. A coordinator keeps them apart - each only sees fills on
+ * its own offers, and borrows being replaced by one are left alone by the other
+ */
+class CompositeApp extends App {
+    constructor(socket) {
+        super(socket)
+
+        this.coordinator = new Coordinator(this)
+        this.replace = new ReplacePart(this.coordinator.socketFor('replace'), this.coordinator)
+        this.target = new TargetPart(this.coordinator.socketFor('target'), this.coordinator)
+        this.coordinator.addPart('replace', this.replace)
+        this.coordinator.addPart('target', this.target)
+    }
+
+    // Offer, trade and borrow updates are passed on from here rather than straight from the socket,
+    // so corrections from the reconciler reach the parts too
+
+    onUpdateBorrow(borrow) {
+        super.onUpdateBorrow(borrow)
+        this.coordinator.broadcast('update-borrow', borrow)
+    }
+
+    onCancelBorrow(borrow) {
+        super.onCancelBorrow(borrow)
+        this.coordinator.broadcast('cancel-borrow', borrow)
+    }
+
+    onNewOrder(order) {
+        super.onNewOrder(order)
+        this.coordinator.routeOrder('new-order', order)
+    }
+
+    onUpdateOrder(order) {
+        super.onUpdateOrder(order)
+        this.coordinator.routeOrder('update-order', order)
+    }
+
+    onCancelOrder(order) {
+        super.onCancelOrder(order)
+        this.coordinator.routeOrder('cancel-order', order)
+    }
+
+    onExecuteTrade(trade) {
+        super.onExecuteTrade(trade)
+        this.coordinator.routeTrade('execute-trade', trade)
+    }
+
+    onUpdateTrade(trade) {
+        super.onUpdateTrade(trade)
+        this.coordinator.routeTrade('update-trade', trade)
+    }
+
+    replaceableBorrows() {
+        return this.coordinator.unclaimed(this.borrows)
+    }
+
+    /**
+     * Called on the interval. Target moves its offer on, both parts try their held back returns again,
+     * and anything left over from before we started is cancelled
+     */
+    async onTimer() {
+        super.onTimer()
+        this.replace.retryDeferredReturns()
+        this.target.retryDeferredReturns()
+
+        const strays = this.orders.filter((o) => this.coordinator.ownerOf(o.id) === undefined)
+        if (strays.length > 0 && this.coordinator.placing === 0) {
+            log(`Cancelling ${strays.length} offers that were not placed by this run of the bot`)
+            await this.cancelOffers(strays.map((o) => o.id))
+        }
+
+        await this.target.updateOffers()
+    }
+
+    /**
+     * App is closing. Let both parts tidy up
+     */
+    async beforeShutdown() {
+        await super.beforeShutdown()
+        await this.replace.beforeShutdown()
+        await this.target.beforeShutdown()
+    }
+}
+
+module.exports = CompositeApp
@@ -0,0 +1,312 @@
+const EventEmitter = require('events')
+const log = require('../util/log')('coordinator')
+
+// Events about the market and the connection, that every part needs to see
+const sharedEvents = [
+    'update-offer',
+    'cancel-offer',
+    'update-bid',
+    'cancel-bid',
+    'reset',
+    'disconnected',
+    'snapshot',
+    'clear-book',
+    'book-ready',
+    'book-resync',
+    'add-raw-offer',
+    'update-raw-offer',
+    'remove-raw-offer',
+    'update-ticker',
+    'public-trade',
+    'update-wallet',
+    'update-position',
+    'halted',
+    'resumed',
+]
+
+// How long (ms) to remember who owned an offer after it has gone, so late trades still reach the right part
+const ownerMemory = 5 * 60 * 1000
+
+/**
+ * What each part of a composite strategy sees as its socket. Market events are passed straight through,
+ * but it only hears about its own offers and trades, and can only cancel its own offers and return
+ * borrows nobody else has claimed. The connection itself belongs to the composite, so open and close do nothing
+ */
+class PartSocket extends EventEmitter {
+    /**
+     * @param {*} coordinator
+     * @param {*} name
+     */
+    constructor(coordinator, name) {
+        super()
+
+        this.coordinator = coordinator
+        this.name = name
+        this.socket = coordinator.socket
+    }
+
+    get paper() {
+        return this.socket.paper
+    }
+
+    open() {}
+
+    close() {}
+
+    async borrowFunds(amount, rate, options = {}) {
+        return this.coordinator.placeOffer(this.name, () => this.socket.borrowFunds(amount, rate, options), { amount, rate })
+    }
+
+    async cancelOffers(ids) {
+        const own = ids.filter((id) => this.coordinator.ownerOf(id) === this.name)
+        if (own.length < ids.length) {
+            log(`${this.name}: not cancelling ${ids.length - own.length} offers it didn't place`)
+        }
+
+        return this.socket.cancelOffers(own)
+    }
+
+    async returnManyBorrows(borrows) {
+        const claimed = borrows.filter((b) => !this.coordinator.mayReturn(this.name, b))
+        if (claimed.length > 0) {
+            log(`${this.name}: not returning ${claimed.map((b) => b.id).join(', ')} - claimed by another part`)
+        }
+
+        const result = await this.socket.returnManyBorrows(borrows.filter((b) => !claimed.includes(b)))
+        return { ...result, skipped: result.skipped.concat(claimed) }
+    }
+
+    fetchFundingState() {
+        return this.socket.fetchFundingState()
+    }
+
+    getHealth() {
+        return this.socket.getHealth()
+    }
+
+    haltedBecause() {
+        return this.socket.haltedBecause()
+    }
+
+    paperSummary() {
+        return this.socket.paperSummary()
+    }
+}
+
+/**
+ * Lets several strategies (parts) run against the same account without getting in each other's way.
+ * - Every offer is owned by the part that placed it, and updates and trades on it only go to that part,
+ *   so each fill is counted by the part that asked for it
+ * - A part can claim the borrows it is replacing. Other parts won't return them, and are told so they
+ *   can stop counting on them
+ * - The parts are built with the composite's borrow policy, notifier, reconciler and reaper (see shared),
+ *   so limits are checked against the account as a whole, and only one of each acts on it
+ *
+ * Offer updates can arrive before the exchange has told us the id of a new offer, so while any part is
+ * waiting on one, updates for offers we don't know yet are held back until we find out whose they are
+ */
+class Coordinator {
+    /**
+     * @param {*} app - the composite, which holds the real connection to the exchange
+     */
+    constructor(app) {
+        this.app = app
+        this.socket = app.socket
+
+        // name -> { socket, app }
+        this.parts = new Map()
+
+        // offer id -> { name, closedAt }
+        this.owners = new Map()
+
+        // borrow id -> name
+        this.claims = new Map()
+
+        // offer updates and trades waiting for their owner to be known, and the offers being placed
+        this.placing = 0
+        this.held = []
+        this.inFlight = []
+
+        sharedEvents.forEach((event) => {
+            this.socket.on(event, (...args) => this.broadcast(event, ...args))
+        })
+    }
+
+    /**
+     * A socket for a part to be built on. Call addPart with the app once it exists
+     * @param {*} name
+     * @returns
+     */
+    socketFor(name) {
+        return new PartSocket(this, name)
+    }
+
+    /**
+     * What the parts share with the composite, to be passed to their constructors
+     * @returns
+     */
+    shared() {
+        const { reconciler, reaper, policy, notifier } = this.app
+        return { reconciler, reaper, policy, notifier }
+    }
+
+    /**
+     * @param {*} name
+     * @param {*} app - built on the socket from socketFor(name)
+     */
+    addPart(name, app) {
+        this.parts.set(name, { socket: app.socket, app })
+    }
+
+    /**
+     * Pass an event on to every part
+     * @param {*} event
+     * @param  {...any} args
+     */
+    broadcast(event, ...args) {
+        this.parts.forEach((part) => part.socket.emit(event, ...args))
+    }
+
+    /**
+     * Place an offer for a part, and remember that the part owns it
+     * @param {*} name
+     * @param {*} place - async function that places the offer and resolves with its id
+     * @param {*} offer - { amount, rate } being asked for, counted as open until the exchange confirms it
+     * @returns the offer id
+     */
+    async placeOffer(name, place, offer) {
+        const placing = { amountRemaining: offer.amount, rate: offer.rate }
+        this.inFlight.push(placing)
+        this.placing += 1
+        try {
+            const id = await place()
+            if (id !== null) {
+                this.forget()
+                this.owners.set(id, { name, closedAt: null })
+                this.release(id)
+            }
+
+            return id
+        } finally {
+            this.inFlight = this.inFlight.filter((o) => o !== placing)
+            this.placing -= 1
+            if (this.placing === 0 && this.held.length > 0) {
+                log(`Ignoring ${this.held.length} updates for offers the bot didn't place`)
+                this.held = []
+            }
+        }
+    }
+
+    /**
+     * Which part placed an offer (undefined if none of them did)
+     * @param {*} id
+     * @returns
+     */
+    ownerOf(id) {
+        return this.owners.get(id)?.name
+    }
+
+    /**
+     * Every open offer on the account, including any still being placed by one of the parts
+     * @returns
+     */
+    openOffers() {
+        return this.app.orders.concat(this.inFlight)
+    }
+
+    /**
+     * Pass an offer event on to the part that placed the offer
+     * @param {*} event - new-order, update-order or cancel-order
+     * @param {*} order
+     */
+    routeOrder(event, order) {
+        if (event === 'cancel-order' && this.owners.has(order.id)) {
+            this.owners.get(order.id).closedAt = Date.now()
+        }
+
+        this.route(event, order, order.id)
+    }
+
+    /**
+     * Pass a trade on to the part whose offer it filled
+     * @param {*} event - execute-trade or update-trade
+     * @param {*} trade
+     */
+    routeTrade(event, trade) {
+        this.route(event, trade, trade.offerId)
+    }
+
+    route(event, item, id) {
+        const owner = this.owners.get(id)
+        if (owner) {
+            this.parts.get(owner.name)?.socket.emit(event, item)
+        } else if (this.placing > 0) {
+            this.held.push({ event, item, id })
+        }
+    }
+
+    /**
+     * Pass on anything held back for an offer, now we know whose it is
+     * @param {*} id
+     */
+    release(id) {
+        const ready = this.held.filter((h) => h.id === id)
+        this.held = this.held.filter((h) => h.id !== id)
+        ready.forEach((h) => this.route(h.event, h.item, h.id))
+    }
+
+    /**
+     * Drop owners of offers that closed a while ago
+     */
+    forget() {
+        const cutoff = Date.now() - ownerMemory
+        Array.from(this.owners.entries())
+            .filter(([, owner]) => owner.closedAt !== null && owner.closedAt < cutoff)
+            .forEach(([id]) => this.owners.delete(id))
+    }
+
+    /**
+     * A part is replacing these borrows. Other parts are told, so they can leave them alone
+     * @param {*} name
+     * @param {*} borrows
+     */
+    claim(name, borrows) {
+        borrows.forEach((b) => this.claims.set(b.id, name))
+        this.parts.forEach((part, other) => {
+            if (other !== name) {
+                part.app.onBorrowsClaimed?.(borrows)
+            }
+        })
+    }
+
+    /**
+     * A part has finished with the borrows it claimed
+     * @param {*} name
+     * @param {*} borrows
+     */
+    unclaim(name, borrows) {
+        borrows.filter((b) => this.claims.get(b.id) === name).forEach((b) => this.claims.delete(b.id))
+    }
+
+    /**
+     * The borrows no part has claimed
+     * @param {*} borrows
+     * @returns
+     */
+    unclaimed(borrows) {
+        return borrows.filter((b) => !this.claims.has(b.id))
+    }
+
+    /**
+     * Can a part return this borrow
+     * @param {*} name
+     * @param {*} borrow
+     * @returns
+     */
+    mayReturn(name, borrow) {
+        const claimedBy = this.claims.get(borrow.id)
+        return claimedBy === undefined || claimedBy === name
+    }
+}
+
+module.exports = Coordinator
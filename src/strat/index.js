@@ -1,19 +1,108 @@
+const Path = require('node:path')
 const config = require('../util/config')
+const App = require('./app')
 const ReplaceIfCheaperApp = require('./replace-if-cheaper')
 const TargetApp = require('./target')
+const LockInApp = require('./lock-in')
+const LadderApp = require('./ladder')
+const CompositeApp = require('./composite')
+
+// The hooks every strategy must have. Anything extending App gets these, so this mostly catches
+// modules that don't extend App, or that have replaced a hook with something that isn't a function
+const requiredHooks = [
+    'start',
+    'stop',
+    'onStartup',
+    'onTimer',
+    'beforeShutdown',
+    'onUpdateOffer',
+    'onCancelOffer',
+    'onUpdateBorrow',
+    'onCancelBorrow',
+    'onNewOrder',
+    'onUpdateOrder',
+    'onCancelOrder',
+    'onExecuteTrade',
+]
+
+// strategy name -> App class
+const strategies = new Map()
+
+/**
+ * Check that something looks like a strategy we can run
+ * @param {*} AppClass
+ * @param {*} name - used in the error messages
+ */
+function validateStrategy(AppClass, name) {
+    if (typeof AppClass !== 'function' || !AppClass.prototype) {
+        throw new Error(`Strategy '${name}' must be a class that extends App (src/strat/app.js), not ${typeof AppClass}`)
+    }
+
+    const missing = requiredHooks.filter((hook) => typeof AppClass.prototype[hook] !== 'function')
+    if (missing.length > 0) {
+        throw new Error(`Strategy '${name}' is missing ${missing.join(', ')}. Strategies should extend App (src/strat/app.js)`)
+    }
+}
+
+/**
+ * Make a strategy available by name, so it can be picked with the `strategy` setting
+ * @param {*} name
+ * @param {*} AppClass - a subclass of App
+ */
+function registerStrategy(name, AppClass) {
+    validateStrategy(AppClass, name)
+    strategies.set(name, AppClass)
+}
+
+/**
+ * Load a strategy from a module. The module should export a subclass of App
+ * @param {*} file - path to the module, relative to the working directory
+ * @returns
+ */
+function loadStrategy(file) {
+    const path = Path.resolve(file)
+
+    let AppClass = null
+    try {
+        AppClass = require(path)
+    } catch (err) {
+        throw new Error(`Unable to load strategy from ${path}: ${err.message.split('\n')[0]}`)
+    }
+
+    validateStrategy(AppClass, file)
+    return AppClass
+}
+
+/**
+ * Is the strategy setting a path to a module, rather than a name
+ * @param {*} strat
+ * @returns
+ */
+function isModulePath(strat) {
+    return strat.startsWith('.') || Path.isAbsolute(strat) || strat.endsWith('.js')
+}
+
+registerStrategy('replace', ReplaceIfCheaperApp)
+registerStrategy('target', TargetApp)
+registerStrategy('lock', LockInApp)
+registerStrategy('ladder', LadderApp)
+registerStrategy('composite', CompositeApp)
 
 function appFactory(socket) {
     const strat = config.get('strategy')
-    switch (strat) {
-        case 'replace':
-            return new ReplaceIfCheaperApp(socket)
-
-        case 'target':
-            return new TargetApp(socket)
+    if (strategies.has(strat)) {
+        const AppClass = strategies.get(strat)
+        return new AppClass(socket)
+    }
 
-        default:
-            throw new Error('Unknown strategy')
+    if (typeof strat === 'string' && isModulePath(strat)) {
+        const AppClass = loadStrategy(strat)
+        return new AppClass(socket)
     }
+
+    throw new Error(`Unknown strategy '${strat}'. Use one of ${Array.from(strategies.keys()).join(', ')}, or a path to a module`)
 }
 
 module.exports = appFactory
+module.exports.registerStrategy = registerStrategy
+module.exports.App = App
@@ -0,0 +1,172 @@
+const TargetApp = require('./target')
+const config = require('../util/config')
+const log = require('../util/log')('app-ladder')
+
+class LadderApp extends TargetApp {
+    constructor(socket, shared) {
+        super(socket, shared)
+
+        // How the amount is split into rungs - each takes a share of it, at some APR below the target rate
+        this.rungConfig = config.get('ladder.rungs', [{ share: 1, offset: 0 }])
+        this.repriceThreshold = config.get('ladder.repriceThreshold', 0.25)
+
+        // The rungs currently resting on the book, and the target rate they were placed around
+        this.rungs = []
+        this.placedRate = null
+
+        // How much of each of our offers has filled so far
+        this.orderFills = new Map()
+        this.placingRungs = false
+    }
+
+    /**
+     * Called when a fill has been detected on an order. Works out how much of that rung has filled since last time,
+     * and returns expensive borrows that are covered by it
+     * @param {*} order
+     */
+    onFillOrder(order) {
+        this.fillLock.runLocked(async () => {
+            const filled = Math.abs(order.filled)
+            const before = this.orderFills.get(order.id) ?? 0
+            if (filled <= before) {
+                return
+            }
+
+            this.orderFills.set(order.id, filled)
+
+            const executed = filled - before
+            const rung = this.rungs.find((r) => r.orderId === order.id)
+            if (rung) {
+                rung.filled += executed
+                log(
+                    `Rung ${rung.index + 1} at ${this.apr(rung.rate)}% filled ${this.f4(executed)}. ${this.f4(rung.filled)} of ${this.f4(rung.amount)} done`
+                )
+            } else {
+                log(`Offer ${order.id} filled ${this.f4(executed)}`)
+            }
+
+            this.pendingReturn += executed
+            log(`Pending return ${this.f4(this.pendingReturn)}\n`)
+            await this.returnExcessBorrows()
+        })
+    }
+
+    /**
+     * Leave the rungs resting unless the target has moved far enough to be worth repricing them.
+     * Any other offers (eg left from before a restart, or by a rung that was dropped) are cancelled
+     */
+    async updateOffers() {
+        let cancelled = false
+        const target = await this.fillLock.runLocked(async () => {
+            // forget about offers that have gone (any fills on them have been dealt with by now)
+            Array.from(this.orderFills.keys())
+                .filter((id) => !this.orders.some((o) => o.id === id))
+                .forEach((id) => this.orderFills.delete(id))
+
+            const rungIds = new Set(this.rungs.map((r) => r.orderId))
+            const strays = this.orders.filter((o) => !rungIds.has(o.id))
+            if (strays.length > 0 && !this.placingRungs) {
+                log(`Cancelling ${strays.length} offers that are not one of the rungs`)
+                await this.cancelOffers(strays.map((o) => o.id))
+            }
+
+            const found = this.findTarget()
+            const open = this.openRungs()
+            if (found && open.length > 0 && Math.abs(found.rate - this.placedRate) * 365 * 100 < this.repriceThreshold) {
+                log(`Target still within ${this.repriceThreshold}% APR of ${this.apr(this.placedRate)}%. Leaving the rungs alone`)
+                this.rungs.forEach((r) =>
+                    log(` Rung ${r.index + 1}: ${this.f4(r.filled)} of ${this.f4(r.amount)} filled @ ${this.apr(r.rate)}%`)
+                )
+                log('')
+                return null
+            }
+
+            if (open.length > 0) {
+                log(found ? 'Target has moved. Repricing the rungs...' : 'Nothing left to replace. Cancelling the rungs...')
+                await this.cancelOffers(open.map((r) => r.orderId))
+                cancelled = true
+            }
+
+            this.rungs = []
+            this.placedRate = null
+            return found ? { ...found, pendingReturn: this.pendingReturn } : null
+        })
+
+        if (!target) {
+            return
+        }
+
+        // Fills can still arrive while rungs are being cancelled. Anything that did is borrowed already
+        if (cancelled) {
+            await this.sleep(2000)
+            target.amount -= this.pendingReturn - target.pendingReturn
+        }
+
+        await this.placeRungs(target.amount, target.rate)
+    }
+
+    /**
+     * Split the amount over the rungs and place an offer for each.
+     * Rungs too small to place are folded into the first rung
+     * @param {*} amount
+     * @param {*} rate
+     */
+    async placeRungs(amount, rate) {
+        const totalShare = this.rungConfig.reduce((sum, r) => sum + r.share, 0)
+        const planned = this.rungConfig.map((r, index) => ({
+            index,
+            amount: (amount * r.share) / totalShare,
+            rate: Math.max(rate - r.offset / 365 / 100, 0),
+            orderId: null,
+            filled: 0,
+        }))
+
+        const rungs = planned.filter((r) => r.amount >= this.minBorrowSize)
+        const leftOver = planned.filter((r) => r.amount < this.minBorrowSize).reduce((sum, r) => sum + r.amount, 0)
+        if (rungs.length === 0) {
+            if (amount < this.minBorrowSize) {
+                return
+            }
+
+            rungs.push({ ...planned[0], amount })
+        } else {
+            rungs[0].amount += leftOver
+        }
+
+        log(`Placing ${rungs.length} rungs for ${this.f4(amount)} below ${this.apr(rate)}%`)
+        this.placedRate = rate
+        this.rungs = rungs
+        this.placingRungs = true
+        try {
+            for (const rung of rungs) {
+                try {
+                    rung.orderId = await this.borrowFunds(rung.amount, rung.rate, { period: this.choosePeriod(rung.amount, rung.rate) })
+                } catch (err) {
+                    log(`Rung ${rung.index + 1} rejected (${err.message})`)
+                }
+            }
+        } finally {
+            this.placingRungs = false
+        }
+
+        // If the exchange refused everything, there will be no fills
+        if (rungs.every((r) => r.orderId === null)) {
+            await this.fillLock.runLocked(async () => {
+                log('No rungs placed. Will try again next interval\n')
+                this.tooExpensive = []
+                this.rungs = []
+                this.placedRate = null
+            })
+        }
+    }
+
+    /**
+     * The rungs that are still open on the exchange
+     * @returns
+     */
+    openRungs() {
+        return this.rungs.filter((r) => r.orderId !== null && this.orders.some((o) => o.id === r.orderId))
+    }
+}
+
+module.exports = LadderApp
@@ -0,0 +1,228 @@
+const App = require('./app')
+const RateHistory = require('./rate-history')
+const config = require('../util/config')
+const log = require('../util/log')('app-lock')
+
+class LockInApp extends App {
+    constructor(socket, shared) {
+        super(socket, shared)
+
+        // How low rates must be, compared to recent history, before we lock them in
+        this.percentile = config.get('lock.percentile', 20)
+        this.minSamples = config.get('lock.minSamples', 60)
+        this.history = new RateHistory(config.get('lock.historyHours', 24) * 60 * 60 * 1000, config.get('lock.sampleInterval', 60 * 1000))
+
+        // What counts as locked, how long to lock for, and how much of our borrowing may be locked
+        this.lockMinPeriod = config.get('lock.minPeriod', 7)
+        this.lockMaxPeriod = config.get('lock.maxPeriod', 30)
+        this.maxLockedShare = config.get('lock.maxLockedShare', 0.5)
+
+        // The offer we are waiting on, while locking in
+        this.pending = null
+    }
+
+    /**
+     * Called when an offer is added or updated. Keep track of the best rate over time
+     * @param {*} offer
+     */
+    onUpdateOffer(offer) {
+        super.onUpdateOffer(offer)
+        this.sampleRate()
+    }
+
+    /**
+     * Called when a trade is executed
+     * @param {*} trade
+     */
+    onExecuteTrade(trade) {
+        super.onExecuteTrade(trade)
+
+        if (!this.pending) {
+            return
+        }
+
+        // the trade can arrive before we have been told the id of our offer. Keep it until we know
+        if (this.pending.orderId === null) {
+            this.pending.early.push(trade)
+        } else if (trade.offerId === this.pending.orderId) {
+            this.pending.filled += Math.abs(trade.amount)
+        }
+    }
+
+    /**
+     * Record the best rate on offer, once we have a book we trust
+     */
+    sampleRate() {
+        const best = this.book.bestOffer()
+        if (best && this.isSynced()) {
+            this.history.add(best.rate, 'book')
+        }
+    }
+
+    /**
+     * Called on the interval. If rates are low compared to recent history, lock some in
+     */
+    async onTimer() {
+        super.onTimer()
+        this.sampleRate()
+
+        if (this.pending !== null || this.isPaused()) {
+            return
+        }
+
+        const best = this.book.bestOffer()
+        if (!best || this.borrows.length === 0) {
+            return
+        }
+
+        const samples = this.history.size()
+        if (samples < this.minSamples) {
+            log(`Collecting rate history (${samples} of ${this.minSamples} samples)...\n`)
+            return
+        }
+
+        const threshold = this.history.percentile(this.percentile)
+        log(`Best offer ${this.apr(best.rate)}% APR. ${this.percentile}th percentile of recent rates is ${this.apr(threshold)}% APR`)
+        if (best.rate > threshold) {
+            log('Rates are not low enough to lock in\n')
+            return
+        }
+
+        const plan = this.planLockIn(threshold)
+        if (plan) {
+            await this.lockIn(plan)
+        }
+    }
+
+    /**
+     * Work out what to lock in. The most expensive short borrows are replaced, as long as the total locked
+     * stays inside maxLockedShare, using the longest period the book can fill at or below the threshold
+     * @param {*} threshold
+     * @returns { amount, rate, period, borrows } or null if there is nothing to do
+     */
+    planLockIn(threshold) {
+        const total = this.borrows.reduce((sum, b) => sum + b.amount, 0)
+        const locked = this.lockedAmount()
+        const room = total * this.maxLockedShare - locked
+        log(
+            `Locked ${this.f2(locked)} of ${this.f2(total)} (${this.f2((locked / total) * 100)}%). Room for ${this.f2(Math.max(room, 0))} more`
+        )
+
+        if (room < this.minBorrowSize) {
+            log('Already locked as much as we are allowed to\n')
+            return null
+        }
+
+        // The longest period the book can cover it all for. If none can, the period with the most on offer
+        const wanted = this.pickBorrows(threshold, room).reduce((sum, b) => sum + b.amount, 0)
+        const periods = Array.from(this.book.liquidityByPeriod(threshold).keys())
+            .filter((p) => p >= this.lockMinPeriod && p <= this.lockMaxPeriod)
+            .map((p) => ({ period: p, available: this.book.liquidity(threshold, p) }))
+            .sort((a, b) => b.period - a.period)
+
+        const best = periods.find((p) => p.available >= wanted) ?? periods.sort((a, b) => b.available - a.available)[0]
+        if (!best) {
+            log(`No offers of ${this.lockMinPeriod} days or more at or below ${this.apr(threshold)}% APR\n`)
+            return null
+        }
+
+        const borrows = this.pickBorrows(threshold, Math.min(room, best.available))
+        const amount = borrows.reduce((sum, b) => sum + b.amount, 0)
+        if (amount < this.minBorrowSize) {
+            log('No short borrows worth locking in\n')
+            return null
+        }
+
+        const period = best.period
+        const rate = this.findTargetRateToBorrow(amount, threshold, period)
+        return { amount, rate, period, borrows }
+    }
+
+    /**
+     * Borrow for longer to replace some short borrows, then return the ones that were covered
+     * @param {*} plan
+     */
+    async lockIn(plan) {
+        this.pending = { orderId: null, filled: 0, early: [] }
+        this.pauseUntil = Date.now() + 15000
+
+        log(`>>>>>> LOCK IN >>`)
+        log(`>> Replacing ${plan.borrows.length} borrows for ${this.f2(plan.amount)}`)
+        log(`>> With ${plan.period} days at ${this.apr(plan.rate)}% APR (${this.f8(plan.rate)}) or better\n`)
+
+        try {
+            const id = await this.borrowFunds(plan.amount, plan.rate, { period: plan.period })
+            this.pending.orderId = id
+            this.pending.filled += this.pending.early.filter((t) => t.offerId === id).reduce((sum, t) => sum + Math.abs(t.amount), 0)
+            this.pending.early = []
+        } catch (err) {
+            log(`>> Offer rejected (${err.message}). Nothing to replace`)
+            log(`>>>>>> END <<\n`)
+            this.pauseUntil = Date.now() + 1000 * 60
+            this.pending = null
+            return
+        }
+
+        // Wait a bit for it to fill
+        let tries = 0
+        while (tries < 10 && this.pending.filled < plan.amount - 0.000001) {
+            log('...waiting for fill...')
+            await this.sleep(5000)
+            tries += 1
+        }
+
+        if (this.orders.some((o) => o.id === this.pending.orderId)) {
+            await this.cancelOffers([this.pending.orderId])
+        }
+
+        // Return as many of the short borrows as the fills cover
+        let remaining = this.pending.filled
+        const toReturn = []
+        for (const b of plan.borrows) {
+            if (b.amount <= remaining + 1) {
+                toReturn.push(b)
+                remaining -= b.amount
+            }
+        }
+
+        log(`Filled ${this.f2(this.pending.filled)}, returning ${toReturn.length} borrows`)
+        await this.returnManyBorrows(toReturn)
+
+        await this.sleep(5000)
+        this.logBorrowState()
+        log(`>>>>>> END <<\n`)
+
+        this.pauseUntil = Date.now() + 1000 * 60
+        this.pending = null
+    }
+
+    /**
+     * The most expensive short borrows that are paying more than the threshold, up to a total of limit
+     * @param {*} threshold
+     * @param {*} limit
+     * @returns
+     */
+    pickBorrows(threshold, limit) {
+        // borrows are sorted most expensive first
+        const picked = []
+        let amount = 0
+        for (const b of this.borrows) {
+            if (b.period < this.lockMinPeriod && b.rate - this.minImprovement > threshold && amount + b.amount <= limit) {
+                picked.push(b)
+                amount += b.amount
+            }
+        }
+
+        return picked
+    }
+
+    /**
+     * How much of our borrowing is locked in for the long term
+     * @returns
+     */
+    lockedAmount() {
+        return this.borrows.filter((b) => b.period >= this.lockMinPeriod).reduce((sum, b) => sum + b.amount, 0)
+    }
+}
+
+module.exports = LockInApp
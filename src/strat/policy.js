@@ -0,0 +1,66 @@
+const config = require('../util/config')
+
+/**
+ * Thrown when the policy won't allow a borrow
+ */
+class PolicyError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = 'PolicyError'
+    }
+}
+
+/**
+ * Hard limits that every new borrow has to pass, whatever the strategy wants to do.
+ * Guards against a bad config (eg a typo in target.rates) or a thin book leading to expensive borrowing.
+ * Each limit is off when set to 0
+ */
+class BorrowPolicy {
+    constructor() {
+        // the most we will ever pay (APR)
+        this.maxApr = config.get('policy.maxApr', 0)
+
+        // the most we will ever have borrowed at once, including the new borrow and whatever our open offers could still fill
+        this.maxOutstanding = config.get('policy.maxOutstanding', 0)
+
+        // the most interest a day we will pay on everything borrowed, counted the same way
+        this.dailyBudget = config.get('policy.dailyBudget', 0)
+    }
+
+    /**
+     * Check a new borrow against the limits
+     * @param {*} borrows - what is borrowed already
+     * @param {*} amount
+     * @param {*} rate - the daily rate the new borrow could cost, at worst. null if we can't tell
+     * @param {*} offers - our open offers, counted as if what is left on them fills
+     * @returns the reason it isn't allowed, or null if it is
+     */
+    check(borrows, amount, rate, offers = []) {
+        if ((this.maxApr > 0 || this.dailyBudget > 0) && rate === null) {
+            return 'unable to tell what it would cost (FRR is not known yet)'
+        }
+
+        const apr = rate * 365 * 100
+        if (this.maxApr > 0 && apr > this.maxApr) {
+            return `${apr.toFixed(4)}% APR is over the ${this.maxApr}% APR limit`
+        }
+
+        const unfilled = offers.reduce((sum, o) => sum + Math.abs(o.amountRemaining), 0)
+        const outstanding = borrows.reduce((sum, b) => sum + b.amount, 0) + unfilled + amount
+        if (this.maxOutstanding > 0 && outstanding > this.maxOutstanding) {
+            return `${outstanding.toFixed(2)} would be borrowed in total, over the ${this.maxOutstanding} limit`
+        }
+
+        const interest =
+            borrows.reduce((sum, b) => sum + b.amount * b.rate, 0) +
+            offers.reduce((sum, o) => sum + Math.abs(o.amountRemaining) * o.rate, 0) +
+            amount * rate
+        if (this.dailyBudget > 0 && interest > this.dailyBudget) {
+            return `${interest.toFixed(4)} a day in interest would be over the daily budget of ${this.dailyBudget}`
+        }
+
+        return null
+    }
+}
+
+module.exports = { BorrowPolicy, PolicyError }
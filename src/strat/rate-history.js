@@ -0,0 +1,142 @@
+const Path = require('node:path')
+const FileSystem = require('node:fs')
+const log = require('../util/log')('rate-history')
+
+/**
+ * A rolling window of rates seen in the market, so strategies can tell if the rate now
+ * is cheap or expensive compared to recent history.
+ * Rates can come from more than one source (eg the top of the book and actual trades). Each source is
+ * sampled at most once every sampleInterval ms, and anything older than the window is dropped.
+ * If given a file, the samples are saved every so often and loaded again at startup, so the history survives restarts.
+ */
+class RateHistory {
+    /**
+     * @param {*} windowMs - how far back to remember
+     * @param {*} sampleInterval - min ms between samples from the same source
+     * @param {*} file - where to save the samples. null to keep them in memory only
+     */
+    constructor(windowMs, sampleInterval, file = null) {
+        this.windowMs = windowMs
+        this.sampleInterval = sampleInterval
+        this.samples = []
+        this.lastSampleAt = new Map()
+
+        this.file = file ? Path.resolve(file) : null
+        this.saveInterval = 5 * 60 * 1000
+        this.lastSaved = Date.now()
+
+        this.load()
+    }
+
+    /**
+     * Record a rate (ignored if we took a sample from this source too recently)
+     * @param {*} rate
+     * @param {*} source
+     * @param {*} at
+     * @returns true if the rate was recorded
+     */
+    add(rate, source = 'rate', at = Date.now()) {
+        const last = this.lastSampleAt.get(source)
+        if (last !== undefined && at - last < this.sampleInterval) {
+            return false
+        }
+
+        this.lastSampleAt.set(source, at)
+        this.samples.push({ at, rate, source })
+        this.trim()
+
+        if (this.file && at - this.lastSaved >= this.saveInterval) {
+            this.save()
+        }
+
+        return true
+    }
+
+    /**
+     * Forget anything that has dropped out of the window. Samples aren't always in time order
+     * (eg a trade reported late, or the clock has changed), so every one is checked
+     * @param {*} now
+     */
+    trim(now = Date.now()) {
+        const cutoff = now - this.windowMs
+        if (this.samples.some((s) => s.at < cutoff)) {
+            this.samples = this.samples.filter((s) => s.at >= cutoff)
+        }
+    }
+
+    /**
+     * How many samples are in the window
+     * @returns
+     */
+    size() {
+        this.trim()
+        return this.samples.length
+    }
+
+    /**
+     * How far back (ms) the samples we have go
+     * @returns
+     */
+    span() {
+        this.trim()
+        return this.samples.length > 0 ? Date.now() - this.samples.reduce((oldest, s) => Math.min(oldest, s.at), Infinity) : 0
+    }
+
+    /**
+     * The rate at the given percentile (0 to 100) of the samples in the window (null if there are none)
+     * eg percentile(20) is a rate that 20% of the samples were at or below
+     * @param {*} p
+     * @returns
+     */
+    percentile(p) {
+        this.trim()
+        if (this.samples.length === 0) {
+            return null
+        }
+
+        const sorted = this.samples.map((s) => s.rate).sort((a, b) => a - b)
+        const rank = Math.ceil((Math.min(Math.max(p, 0), 100) / 100) * sorted.length)
+        return sorted[Math.max(rank - 1, 0)]
+    }
+
+    /**
+     * Load saved samples, keeping only those still inside the window
+     */
+    load() {
+        if (!this.file) {
+            return
+        }
+
+        try {
+            const data = JSON.parse(FileSystem.readFileSync(this.file, 'utf8'))
+            this.samples = data.samples.map((s) => ({ at: s[0], rate: s[1], source: s[2] })).sort((a, b) => a.at - b.at)
+            this.trim()
+            log(`Loaded ${this.samples.length} rates from ${this.file}`)
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                log(`Unable to load rates from ${this.file}: ${err.message}`)
+            }
+        }
+    }
+
+    /**
+     * Save the samples, replacing the file in one go so a crash can't leave half of it behind
+     */
+    save() {
+        if (!this.file) {
+            return
+        }
+
+        this.lastSaved = Date.now()
+        try {
+            FileSystem.mkdirSync(Path.dirname(this.file), { recursive: true })
+            const tmp = `${this.file}.${process.pid}.tmp`
+            FileSystem.writeFileSync(tmp, JSON.stringify({ samples: this.samples.map((s) => [s.at, s.rate, s.source]) }))
+            FileSystem.renameSync(tmp, this.file)
+        } catch (err) {
+            log(`Unable to save rates to ${this.file}: ${err.message}`)
+        }
+    }
+}
+
+module.exports = RateHistory
@@ -0,0 +1,108 @@
+const config = require('../util/config')
+const log = require('../util/log')('reaper')
+
+/**
+ * Every so often, look for borrowing beyond what open positions need (eg unused loans, or what is left over
+ * after a position has been reduced) and return it, most expensive first.
+ *
+ * To avoid returning funding a position is about to use, it only acts once the surplus has been over
+ * startAbove for the whole grace period, and never returns borrows younger than that. When it does act,
+ * it only returns down to keep, so a little spare is left and it doesn't flap around the line
+ */
+class Reaper {
+    /**
+     * @param {*} app
+     */
+    constructor(app) {
+        this.app = app
+
+        this.enabled = !!config.get('reaper.enabled', false)
+        this.interval = config.get('reaper.interval', 60 * 1000)
+        this.grace = config.get('reaper.grace', 10 * 60 * 1000)
+
+        // start returning when the surplus is over startAbove, and return down to keep.
+        // Both are shares of what positions need (eg 0.1 is 10%). Surplus under minAmount is ignored
+        this.startAbove = config.get('reaper.startAbove', 0.1)
+        this.keep = config.get('reaper.keep', 0.03)
+        this.minAmount = config.get('reaper.minAmount', 150)
+
+        this.timer = null
+        this.running = false
+
+        // when the surplus first went over startAbove (null if it isn't)
+        this.surplusSince = null
+    }
+
+    /**
+     * Start checking on the interval
+     */
+    start() {
+        log(`Returning surplus funding, checking every ${this.interval}ms`)
+        this.timer = setInterval(() => this.run(), this.interval)
+    }
+
+    /**
+     * Stop checking
+     */
+    stop() {
+        clearInterval(this.timer)
+        this.timer = null
+    }
+
+    /**
+     * Look for surplus funding and return it once it has been there long enough
+     */
+    async run() {
+        const app = this.app
+        if (this.running || app.isPaused() || !app.isSynced() || app.socket.haltedBecause() !== null) {
+            return
+        }
+
+        const needed = app.fundingRequired()
+        const borrowed = app.borrows.reduce((sum, b) => sum + b.amount, 0)
+        const surplus = borrowed - needed
+        const trigger = Math.max(needed * this.startAbove, this.minAmount)
+        if (surplus <= trigger) {
+            this.surplusSince = null
+            return
+        }
+
+        const now = Date.now()
+        if (this.surplusSince === null) {
+            log(`Borrowed ${app.f2(borrowed)}, but positions only need ${app.f2(needed)}. Waiting to see if it is used...`)
+            this.surplusSince = now
+        }
+
+        if (now - this.surplusSince < this.grace) {
+            return
+        }
+
+        // most expensive first (borrows are kept sorted that way), leaving keep spare.
+        // Borrows something else is in the middle of replacing are left to it
+        let room = surplus - needed * this.keep
+        const toReturn = []
+        for (const b of app.replaceableBorrows()) {
+            if (now - b.createdAt >= this.grace && b.amount <= room) {
+                toReturn.push(b)
+                room -= b.amount
+            }
+        }
+
+        if (toReturn.length === 0) {
+            return
+        }
+
+        this.running = true
+        try {
+            const amount = toReturn.reduce((sum, b) => sum + b.amount, 0)
+            log(`Surplus of ${app.f2(surplus)} for the last ${app.f0((now - this.surplusSince) / 60000)} minutes`)
+            log(`Returning ${toReturn.length} borrows for ${app.f2(amount)}, most expensive ${toReturn[0].ratePercent}% APR\n`)
+            await app.returnManyBorrows(toReturn)
+            this.surplusSince = null
+        } finally {
+            this.running = false
+        }
+    }
+}
+
+module.exports = Reaper
@@ -0,0 +1,168 @@
+const EventEmitter = require('events')
+const log = require('../util/log')('reconcile')
+
+/**
+ * Every so often, fetch the real state of the account over REST and compare it with what the app
+ * has built up from the websocket. Anything that has drifted is logged and corrected by feeding
+ * the app the same events the socket would have sent.
+ *
+ * Emits 'report' after each run, with a summary of what was found
+ */
+class Reconciler extends EventEmitter {
+    /**
+     * @param {*} app
+     * @param {*} interval - ms between runs
+     */
+    constructor(app, interval) {
+        super()
+
+        this.app = app
+        this.socket = app.socket
+        this.interval = interval
+        this.timer = null
+        this.running = false
+
+        // anything happening to borrows or orders while we are fetching makes the comparison unreliable
+        this.activity = false
+        const events = ['update-borrow', 'cancel-borrow', 'new-order', 'update-order', 'cancel-order', 'reset']
+        events.forEach((e) => this.socket.on(e, () => (this.activity = true)))
+    }
+
+    /**
+     * Start reconciling on the interval
+     */
+    start() {
+        log(`Reconciling with the exchange every ${this.interval}ms`)
+        this.timer = setInterval(() => this.run(), this.interval)
+    }
+
+    /**
+     * Stop reconciling
+     */
+    stop() {
+        clearInterval(this.timer)
+        this.timer = null
+    }
+
+    /**
+     * Fetch the state of the account and compare it with the app
+     * @returns the report, or null if the run was skipped
+     */
+    async run() {
+        // paper trading has its own view of the world, which the exchange knows nothing about
+        if (this.running || this.socket.paper || !this.app.isSynced()) {
+            return null
+        }
+
+        this.running = true
+        try {
+            this.activity = false
+            const state = await this.socket.fetchFundingState()
+
+            if (this.activity) {
+                log('Activity while fetching account state. Will try again next time')
+                return null
+            }
+
+            const report = {
+                at: Date.now(),
+                borrows: this.reconcileBorrows(state.borrows),
+                orders: this.reconcileOrders(state.orders),
+            }
+
+            this.emit('report', report)
+            return report
+        } catch (err) {
+            log(`Unable to reconcile: ${err.message}`)
+            return null
+        } finally {
+            this.running = false
+        }
+    }
+
+    /**
+     * Compare the borrows from the exchange with the app, and fix any differences
+     * @param {*} actual
+     * @returns
+     */
+    reconcileBorrows(actual) {
+        const result = this.diff(this.app.borrows, actual, (a, b) => a.amount === b.amount && a.rate === b.rate && a.type === b.type)
+
+        result.missing.forEach((b) => {
+            log(`Borrow ${b.id} for ${b.amount} @ ${b.rateFixed} is missing - adding it`)
+            this.app.onUpdateBorrow(b)
+        })
+
+        result.changed.forEach((b) => {
+            log(`Borrow ${b.id} has changed (now ${b.amount} @ ${b.rateFixed}, ${b.type}) - updating it`)
+            this.app.onUpdateBorrow(b)
+        })
+
+        result.stale.forEach((b) => {
+            log(`Borrow ${b.id} for ${b.amount} @ ${b.rateFixed} no longer exists - removing it`)
+            this.app.onCancelBorrow(b)
+        })
+
+        return this.summarise(result)
+    }
+
+    /**
+     * Compare the open offers from the exchange with the app, and fix any differences
+     * @param {*} actual
+     * @returns
+     */
+    reconcileOrders(actual) {
+        const result = this.diff(this.app.orders, actual, (a, b) => a.amountRemaining === b.amountRemaining && a.rate === b.rate)
+
+        result.missing.forEach((o) => {
+            log(`Offer ${o.id} for ${o.amount} @ ${o.rateFixed} is missing - adding it`)
+            this.app.onNewOrder(o)
+        })
+
+        result.changed.forEach((o) => {
+            log(`Offer ${o.id} has changed (now ${o.amountRemaining} remaining) - updating it`)
+            this.app.onUpdateOrder(o)
+        })
+
+        result.stale.forEach((o) => {
+            log(`Offer ${o.id} is no longer open - removing it`)
+            this.app.onCancelOrder(o)
+        })
+
+        return this.summarise(result)
+    }
+
+    /**
+     * Find the differences between what we have and what the exchange has
+     * @param {*} known
+     * @param {*} actual
+     * @param {*} same - function to decide if two items with the same id are the same
+     * @returns { missing, changed, stale } - missing from the app, different in the app, or only in the app
+     */
+    diff(known, actual, same) {
+        const knownById = new Map(known.map((k) => [k.id, k]))
+        const actualIds = new Set(actual.map((a) => a.id))
+
+        return {
+            missing: actual.filter((a) => !knownById.has(a.id)),
+            changed: actual.filter((a) => knownById.has(a.id) && !same(knownById.get(a.id), a)),
+            stale: known.filter((k) => !actualIds.has(k.id)),
+        }
+    }
+
+    /**
+     * Boil a diff down to counts and ids for the report
+     * @param {*} result
+     * @returns
+     */
+    summarise(result) {
+        return {
+            missing: result.missing.map((i) => i.id),
+            changed: result.changed.map((i) => i.id),
+            stale: result.stale.map((i) => i.id),
+            drift: result.missing.length + result.changed.length + result.stale.length,
+        }
+    }
+}
+
+module.exports = Reconciler
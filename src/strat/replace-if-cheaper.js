@@ -1,12 +1,19 @@
 const App = require('./app')
+const config = require('../util/config')
 const log = require('../util/log')('app-replace')
 
 class ReplaceIfCheaperApp extends App {
-    constructor(socket) {
-        super(socket)
+    constructor(socket, shared) {
+        super(socket, shared)
 
         // When switching out borrow, track the changes...
         this.pending = null
+
+        // Large replacements can be done in slices, so no single offer has to reach deep into the book
+        this.maxSlice = config.get('replace.maxSlice', 0)
+        this.sliceShare = config.get('replace.sliceShare', 1)
+        this.sliceCooldown = config.get('replace.sliceCooldown', 30 * 1000)
+        this.slicing = false
     }
 
     /**
@@ -55,24 +62,25 @@ class ReplaceIfCheaperApp extends App {
     replaceBorrowingIfCheaper() {
         // Only continue if we are not in the middle of
         // changing some borrowing already or paused
-        const now = Date.now()
-        if (now < this.pauseUntil || this.pending !== null) {
+        if (this.isPaused() || this.pending !== null || this.slicing) {
             return
         }
 
         // get these as local values
-        const borrows = this.borrows
-        const book = this.offers
+        // (leaving out borrows that would not save anything even at the best rate on offer, eg those about to expire)
+        const bestOffer = this.book.bestOffer()
+        const longest = this.offerPeriod === 'auto' ? this.maxPeriod : this.offerPeriod
+        const borrows = bestOffer ? this.worthReplacing(this.replaceableBorrows(), bestOffer.rate, longest) : []
 
         // see how many borrows we have
         let i = borrows.length
-        if (i <= 0 || book.length <= 0) {
+        if (i <= 0 || bestOffer === null) {
             return
         }
 
         // Too expensive?
         const seeking = borrows[0].rate - this.minImprovement
-        if (book[0].rate > seeking) {
+        if (bestOffer.rate > seeking) {
             return
         }
 
@@ -86,16 +94,49 @@ class ReplaceIfCheaperApp extends App {
             // Any replacement has to be able to cover as much qty, at a better rate
             const cost = this.replacementCost(subset)
 
-            // Find the section of the order book that offers a better rate (better by the min improvement)
-            // and figure out how much liquidity is there
-            const cheaperBook = this.orderBookCheaperThan(book, cost.bestRate)
-            const available = cheaperBook.reduce((total, el) => total + el.amount, 0)
+            // Pick how long to borrow for, then find the section of the order book that offers a better rate
+            // (better by the min improvement) for at least that long, and figure out how much liquidity is there
+            const period = this.choosePeriod(cost.totalBorrowed, cost.bestRate - this.minImprovement)
+            const available = this.liquidityCheaperThan(cost.bestRate, period)
 
-            // If there is enough available in the order book, and it is > min order size, have a go...
+            // Too much to take in one go? Replace it a slice at a time instead. Only the first slice has to be
+            // available now, as the book has time to fill up again before the next
             const borrowAmount = cost.totalBorrowed
+            const sliceSize = this.sliceSize(available)
+            if (this.slicesEnabled() && borrowAmount >= this.minBorrowSize && sliceSize < borrowAmount && subset.length > 1) {
+                const first = this.replacementCost(this.sliceBorrows(subset, sliceSize)[0]).totalBorrowed
+                if (available > first) {
+                    this.logBorrowState()
+                    log('\nMatch Found...')
+                    log(`>> Can replace top ${i} of ${borrows.length} borrows...`)
+                    log(`>> Needed ${this.f2(borrowAmount)}. Found ${this.f2(available)} available`)
+                    log(`>> Replacing in slices of up to ${this.f2(sliceSize)}\n`)
+
+                    this.replaceInSlices(subset, sliceSize).catch((err) => {
+                        log(`Replacing in slices failed: ${err.message}`)
+                        this.slicing = false
+                    })
+                    return
+                }
+            }
+
+            // If there is enough available in the order book, and it is > min order size, have a go...
             if (borrowAmount >= this.minBorrowSize && available > borrowAmount) {
-                // Find the optimal rate to try and borrow at
-                const targetRate = this.findTargetRateToBorrow(cheaperBook, borrowAmount)
+                // The optimal rate to try and borrow at for that period
+                const targetRate = this.findTargetRateToBorrow(borrowAmount, cost.bestRate - this.minImprovement, period)
+                if (targetRate === null) {
+                    log(`No offers of ${period} days or more below ${this.apr(cost.bestRate)}% APR to replace top ${i} borrows with`)
+                    i -= 1
+                    continue
+                }
+
+                // Is it worth it, once the minimum charge and slippage are paid for
+                const expected = this.expectedSaving(subset, targetRate, period)
+                if (!this.paysOff(expected)) {
+                    log(`Replacing top ${i} of ${borrows.length} borrows would save ${this.savingStr(expected)}. Not worth it`)
+                    i -= 1
+                    continue
+                }
 
                 // report the state of things
                 this.logBorrowState()
@@ -103,10 +144,11 @@ class ReplaceIfCheaperApp extends App {
                 log(`>> Can replace top ${i} of ${borrows.length} borrows...`)
                 log(`>> Needed ${this.f2(borrowAmount)}. Found ${this.f2(available)} available`)
                 log(`>> Replaces existing at ${this.apr(cost.bestRate)}% APR (${this.f8(cost.bestRate)}) or worse`)
-                log(`>> With new at          ${this.apr(targetRate)}% APR (${this.f8(targetRate)}) or better\n`)
+                log(`>> With new at          ${this.apr(targetRate)}% APR (${this.f8(targetRate)}) or better, for ${period} days`)
+                log(`>> Expected saving ${this.savingStr(expected)}\n`)
 
                 // borrow funds to cover the stuff we are replacing
-                this.replaceBorrowing(borrowAmount, targetRate, subset)
+                this.replaceBorrowing(borrowAmount, targetRate, subset, period)
 
                 // once we have replaced a set of borrowing, we are done
                 // we can try again in a few seconds.
@@ -118,13 +160,134 @@ class ReplaceIfCheaperApp extends App {
         }
     }
 
+    /**
+     * Is replacing in slices turned on (the defaults replace everything in one go)
+     * @returns
+     */
+    slicesEnabled() {
+        return this.maxSlice > 0 || this.sliceShare < 1
+    }
+
+    /**
+     * The most to replace in one go, given how much is available at a better rate
+     * @param {*} available
+     * @returns
+     */
+    sliceSize(available) {
+        let size = available * this.sliceShare
+        if (this.maxSlice > 0) {
+            size = Math.min(size, this.maxSlice)
+        }
+
+        return Math.max(size, this.minBorrowSize)
+    }
+
+    /**
+     * Split the borrows (most expensive first) into slices of up to size.
+     * Borrows can only be returned whole, so a borrow bigger than size gets a slice to itself,
+     * and a last slice that is too small to borrow is added to the one before it
+     * @param {*} borrows
+     * @param {*} size
+     * @returns
+     */
+    sliceBorrows(borrows, size) {
+        const slices = []
+        let current = []
+        let amount = 0
+        for (const b of borrows) {
+            if (current.length > 0 && amount + b.amount > size) {
+                slices.push(current)
+                current = []
+                amount = 0
+            }
+
+            current.push(b)
+            amount += b.amount
+        }
+
+        if (current.length > 0) {
+            if (amount < this.minBorrowSize && slices.length > 0) {
+                slices[slices.length - 1].push(...current)
+            } else {
+                slices.push(current)
+            }
+        }
+
+        return slices
+    }
+
+    /**
+     * Replace a set of borrowing one slice at a time. Each slice is priced against the book as it is when its turn comes,
+     * and its borrows are returned before the next slice starts. Stops early if the book no longer has enough at a better
+     * rate, or a slice gets no fills
+     * @param {*} toReplace
+     * @param {*} size
+     */
+    async replaceInSlices(toReplace, size) {
+        this.slicing = true
+        try {
+            const slices = this.sliceBorrows(toReplace, size)
+            for (let n = 0; n < slices.length; n++) {
+                // some of these may have been returned or expired while earlier slices were being replaced
+                const slice = slices[n].filter((b) => this.borrows.some((el) => el.id === b.id))
+                if (slice.length === 0) {
+                    continue
+                }
+
+                const cost = this.replacementCost(slice)
+                const period = this.choosePeriod(cost.totalBorrowed, cost.bestRate - this.minImprovement)
+                const available = this.liquidityCheaperThan(cost.bestRate, period)
+                if (cost.totalBorrowed < this.minBorrowSize || available <= cost.totalBorrowed) {
+                    log(
+                        `Slice ${n + 1} of ${slices.length}: not enough available below ${this.apr(cost.bestRate)}% APR any more. Stopping\n`
+                    )
+                    break
+                }
+
+                const targetRate = this.findTargetRateToBorrow(cost.totalBorrowed, cost.bestRate - this.minImprovement, period)
+                if (targetRate === null) {
+                    log(
+                        `Slice ${n + 1} of ${slices.length}: no offers of ${period} days or more below ${this.apr(cost.bestRate)}% APR. Skipping\n`
+                    )
+                    continue
+                }
+
+                const expected = this.expectedSaving(slice, targetRate, period)
+                if (!this.paysOff(expected)) {
+                    log(`Slice ${n + 1} of ${slices.length} would save ${this.savingStr(expected)}. Not worth it, skipping\n`)
+                    continue
+                }
+
+                log(`Slice ${n + 1} of ${slices.length}: ${slice.length} borrows for ${this.f2(cost.totalBorrowed)}`)
+                log(`>> Replaces existing at ${this.apr(cost.bestRate)}% APR (${this.f8(cost.bestRate)}) or worse`)
+                log(`>> With new at          ${this.apr(targetRate)}% APR (${this.f8(targetRate)}) or better, for ${period} days`)
+                log(`>> Expected saving ${this.savingStr(expected)}\n`)
+
+                const filled = await this.replaceBorrowing(cost.totalBorrowed, targetRate, slice, period)
+                if (!filled) {
+                    log(`Slice ${n + 1} of ${slices.length} did not fill. Stopping\n`)
+                    break
+                }
+
+                if (n < slices.length - 1) {
+                    log(`Waiting ${this.sliceCooldown / 1000}s before the next slice...\n`)
+                    await this.sleep(this.sliceCooldown)
+                }
+            }
+        } finally {
+            this.slicing = false
+        }
+    }
+
     /**
      * Trigger the pricess of replacing a set of borrowing with new borrowing
      * @param {*} amount
      * @param {*} rate
      * @param {*} toReplace
+     * @param {*} period
+     * @returns true if anything filled
      */
-    async replaceBorrowing(amount, rate, toReplace) {
+    async replaceBorrowing(amount, rate, toReplace, period) {
         // wait at least as long as the timer
         const waitFor = 15000
         this.pauseUntil = Date.now() + waitFor
@@ -139,8 +302,20 @@ class ReplaceIfCheaperApp extends App {
 
         // Ask to borrow funds
         log(`>>>>>> BEGIN >>`)
-        this.borrowFunds(amount, rate)
-        this.totalBorrowed += amount
+        try {
+            const id = await this.borrowFunds(amount, rate, { period })
+            if (id !== null) {
+                this.pending.orderIds = this.pending.orderIds.filter((o) => o !== id)
+                this.pending.orderIds.push(id)
+            }
+        } catch (err) {
+            // The exchange refused the offer, so there is nothing to wait for
+            log(`>> Offer rejected (${err.message}). Nothing to replace`)
+            log(`>>>>>> END <<\n`)
+            this.pauseUntil = Date.now() + 1000 * 60
+            this.pending = null
+            return false
+        }
 
         // Wait a bit a see if we have any fills
         let tries = 0
@@ -152,8 +327,10 @@ class ReplaceIfCheaperApp extends App {
         }
 
         // cancel any of the order ids that are still active
-        this.socket.cancelOffers(this.pending.orderIds)
-        if (this.pending.filledCount > 0) {
+        const stillOpen = this.pending.orderIds.filter((id) => this.orders.some((o) => o.id === id))
+        await this.cancelOffers(stillOpen)
+        const filled = this.pending.filledCount > 0
+        if (filled) {
             // we got some trades against our order, so return all the borrows we are trying to replace
             // we might not have filled all of it, but the exchange will take care of that by re-borrowing if needed
             const toReturn = this.borrowsToReturn(toReplace)
@@ -169,6 +346,7 @@ class ReplaceIfCheaperApp extends App {
 
         this.pauseUntil = Date.now() + 1000 * 60
         this.pending = null
+        return filled
     }
 
     /**
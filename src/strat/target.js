@@ -1,14 +1,37 @@
 const App = require('./app')
+const RateHistory = require('./rate-history')
 const config = require('../util/config')
 const Lock = require('../util/lock')
 const log = require('../util/log')('app-target')
 
 class TargetApp extends App {
-    constructor(socket) {
-        super(socket)
+    constructor(socket, shared) {
+        super(socket, shared)
 
         this.targetRates = config.get('target.rates')
 
+        // The ladder can be the fixed list of rates above, or worked out from the market each interval
+        this.targetMode = config.get('target.mode', 'fixed')
+        this.relativeTo = config.get('target.relativeTo', 'frr')
+        this.targetOffsets = config.get('target.offsets', [5, 10, 15, 20])
+        this.floorApr = config.get('target.floor', 0)
+        this.ceilingApr = config.get('target.ceiling', Infinity)
+        if (!['fixed', 'frr', 'history'].includes(this.targetMode)) {
+            throw new Error(`Unknown target mode ${this.targetMode}`)
+        }
+
+        // In 'history' mode, the ladder is percentiles of the best offer and traded rates seen recently
+        this.targetPercentiles = config.get('target.percentiles', [90, 75, 50, 25])
+        this.minHistorySamples = config.get('target.minSamples', 60)
+        this.rateHistory = null
+        if (this.targetMode === 'history') {
+            this.rateHistory = new RateHistory(
+                config.get('target.historyDays', 7) * 24 * 60 * 60 * 1000,
+                config.get('target.sampleInterval', 60 * 1000),
+                config.get('target.historyFile', `data/rate-history-${this.symbol}.json`)
+            )
+        }
+
         this.tooExpensive = []
         this.pendingReturn = 0
         this.filledSoFar = 0
@@ -17,6 +40,31 @@ class TargetApp extends App {
         this.fillLock = new Lock()
     }
 
+    /**
+     * Called when an offer is added or updated. Keep track of the best rate over time
+     * @param {*} offer
+     */
+    onUpdateOffer(offer) {
+        super.onUpdateOffer(offer)
+
+        const best = this.book.bestOffer()
+        if (this.rateHistory && best && this.isSynced()) {
+            this.rateHistory.add(best.rate, 'book')
+        }
+    }
+
+    /**
+     * Called when funding is traded in the public market. Keep track of the rates it trades at
+     * @param {*} trade
+     */
+    onPublicTrade(trade) {
+        super.onPublicTrade(trade)
+
+        if (this.rateHistory) {
+            this.rateHistory.add(trade.rate, 'traded', trade.createdAt)
+        }
+    }
+
     /**
      * New order detected
      * @param {*} order
@@ -118,7 +166,13 @@ class TargetApp extends App {
      */
     async onTimer() {
         super.onTimer()
+        await this.updateOffers()
+    }
 
+    /**
+     * Cancel the last offer and place a new one at a rate that might get filled
+     */
+    async updateOffers() {
         await this.fillLock.runLocked(async () => {
             // cancel any open orders
             await this.cancelAllOrders()
@@ -130,45 +184,164 @@ class TargetApp extends App {
         await this.sleep(2000)
 
         // Next try and borrow something to replace existing expensive stuff
-        await this.fillLock.runLocked(async () => {
+        // The offer itself is placed outside the lock, so fills are not held up waiting for the exchange to confirm it
+        const toPlace = await this.fillLock.runLocked(async () => {
             // reset the list of borrows etc
             this.tooExpensive = []
             this.filledSoFar = 0
 
-            // stop if not borrowing anything
-            if (this.borrows.length === 0) {
-                return
+            return this.findTarget()
+        })
+
+        if (toPlace) {
+            await this.placeOffer(toPlace.amount, toPlace.rate)
+        }
+    }
+
+    /**
+     * Work down the target ladder to find the first rate we have borrows above, and how much to borrow to replace them.
+     * Sets tooExpensive to the borrows that would be replaced
+     * @returns { amount, rate } or null if there is nothing to do
+     */
+    findTarget() {
+        // stop if not borrowing anything
+        if (this.borrows.length === 0) {
+            return null
+        }
+
+        // don't make decisions from a book or account state we don't trust
+        if (!this.isSynced()) {
+            log('Waiting for fresh snapshots...\n')
+            return null
+        }
+
+        const ladder = this.targetLadder()
+        if (ladder === null) {
+            log('Waiting for market rates to build the target ladder...\n')
+            return null
+        }
+
+        log('Looking for borrows that exceed our target rates list...')
+        for (const ratePercent of ladder) {
+            const rate = ratePercent / 365 / 100
+            const overTarget = this.replaceableBorrows().filter((b) => b.rate > rate)
+            const period = this.choosePeriod(
+                overTarget.reduce((s, b) => s + b.amount, 0),
+                rate
+            )
+
+            // skip anything that would cost more to replace than it saves (eg it is about to expire anyway)
+            this.tooExpensive = this.worthReplacing(overTarget, rate, period)
+            const amountToReplace = this.tooExpensive.reduce((s, b) => s + b.amount, 0)
+            log(
+                `Found ${this.tooExpensive.length} borrows > ${this.apr(rate)}% (${this.f8(rate)}) for ${this.f2(amountToReplace)} ${this.symbol}`
+            )
+            if (overTarget.length > this.tooExpensive.length) {
+                log(`>> Skipping ${overTarget.length - this.tooExpensive.length} that would not pay for replacing`)
             }
 
-            log('Looking for borrows that exceed our target rates list...')
-            for (const ratePercent of this.targetRates) {
-                const rate = ratePercent / 365 / 100
-                this.tooExpensive = this.borrows.filter((b) => b.rate > rate)
-                const amountToReplace = this.tooExpensive.reduce((s, b) => s + b.amount, 0)
-                log(
-                    `Found ${this.tooExpensive.length} borrows > ${this.apr(rate)}% (${this.f8(rate)}) for ${this.f2(amountToReplace)} ${
-                        this.symbol
-                    }`
-                )
+            if (this.tooExpensive.length > 0) {
+                const expected = this.expectedSaving(this.tooExpensive, rate, period)
+                if (!this.paysOff(expected)) {
+                    log(`>> Expected saving ${this.savingStr(expected)}. Not worth it\n`)
+                    this.tooExpensive = []
+                    continue
+                }
 
-                if (this.tooExpensive.length > 0) {
-                    // Find out how much is too expensive
-                    const toBorrow = amountToReplace - this.pendingReturn
-                    log(`>> Want to replace: ${this.f4(amountToReplace)}`)
-                    this.tooExpensive.forEach((b) => log(` [${b.id}] for ${this.f2(b.amount)} @ ${b.ratePercent}`))
-                    log(`>> Unspent fills:   ${this.f4(this.pendingReturn)}`)
-                    log(`>> Borrow Now:      ${this.f4(toBorrow)}\n`)
-
-                    // place an order to borrow that much at that rate
-                    if (toBorrow > 0 && toBorrow >= this.minBorrowSize) {
-                        this.borrowFunds(toBorrow, rate)
-                        return
-                    }
+                // Find out how much is too expensive
+                const toBorrow = amountToReplace - this.pendingReturn
+                log(`>> Want to replace: ${this.f4(amountToReplace)}`)
+                this.tooExpensive.forEach((b) => log(` [${b.id}] for ${this.f2(b.amount)} @ ${b.ratePercent}`))
+                log(`>> Unspent fills:   ${this.f4(this.pendingReturn)}`)
+                log(`>> Expected saving: ${this.savingStr(expected)}`)
+                log(`>> Borrow Now:      ${this.f4(toBorrow)}\n`)
+
+                // place an order to borrow that much at that rate
+                if (toBorrow > 0 && toBorrow >= this.minBorrowSize) {
+                    return { amount: toBorrow, rate }
                 }
             }
+        }
+
+        log('Nothing to do yet...\n')
+        return null
+    }
+
+    /**
+     * The target rates to work down through (APR, highest first)
+     * In 'frr' mode, each offset is a percentage below the live FRR (or the recent traded rate),
+     * kept between the floor and ceiling
+     * @returns the ladder, or null if we don't know enough about the market yet
+     */
+    targetLadder() {
+        if (this.targetMode === 'fixed') {
+            return this.targetRates
+        }
+
+        if (this.targetMode === 'history') {
+            return this.historyLadder()
+        }
+
+        const reference = this.relativeTo === 'traded' ? this.tradedRate() : this.frr()
+        if (reference === null) {
+            return null
+        }
+
+        const referenceApr = reference * 365 * 100
+        const ladder = this.boundLadder(this.targetOffsets.map((offset) => referenceApr * (1 - offset / 100)))
+        log(`Target ladder from ${this.relativeTo} at ${this.apr(reference)}%: ${ladder.map((r) => this.f2(r)).join(', ')}`)
+        return ladder
+    }
 
-            log('Nothing to do yet...\n')
+    /**
+     * Build the ladder from percentiles of the rates seen recently, logging where each target came from
+     * @returns the ladder, or null if we haven't seen enough rates yet
+     */
+    historyLadder() {
+        const samples = this.rateHistory.size()
+        if (samples < this.minHistorySamples) {
+            log(`Collecting rate history (${samples} of ${this.minHistorySamples} samples)...`)
+            return null
+        }
+
+        const hours = this.f2(this.rateHistory.span() / (60 * 60 * 1000))
+        log(`Target ladder from ${samples} rates over the last ${hours} hours...`)
+        const ladder = this.targetPercentiles.map((p) => {
+            const rate = this.rateHistory.percentile(p)
+            log(` ${p}th percentile: ${this.apr(rate)}% (${this.f8(rate)})`)
+            return rate * 365 * 100
         })
+
+        const bounded = this.boundLadder(ladder)
+        log(`Targets: ${bounded.map((r) => this.f2(r)).join(', ')}`)
+        return bounded
+    }
+
+    /**
+     * Keep a generated ladder between the floor and ceiling, highest first, without repeats
+     * @param {*} ladder
+     * @returns
+     */
+    boundLadder(ladder) {
+        const bounded = ladder.map((r) => Math.min(Math.max(r, this.floorApr), this.ceilingApr))
+        return Array.from(new Set(bounded)).sort((a, b) => b - a)
+    }
+
+    /**
+     * Place the offer to borrow. If the exchange refuses it, there will be no fills,
+     * so forget about the borrows we were hoping to replace until the next interval
+     * @param {*} amount
+     * @param {*} rate
+     */
+    async placeOffer(amount, rate) {
+        try {
+            await this.borrowFunds(amount, rate, { period: this.choosePeriod(amount, rate) })
+        } catch (err) {
+            await this.fillLock.runLocked(async () => {
+                log(`Offer rejected (${err.message}). Will try again next interval\n`)
+                this.tooExpensive = []
+            })
+        }
     }
 
     /**
@@ -177,6 +350,10 @@ class TargetApp extends App {
     async beforeShutdown() {
         super.beforeShutdown()
         await this.cancelAllOrders()
+
+        if (this.rateHistory) {
+            this.rateHistory.save()
+        }
     }
 
     /**
@@ -188,7 +365,7 @@ class TargetApp extends App {
         }
 
         // cancel any open orders
-        this.socket.cancelOffers(this.orders.map((o) => o.id))
+        await this.cancelOffers(this.orders.map((o) => o.id))
 
         // Wait around for them to be cleared out
         let tries = 0
@@ -0,0 +1,148 @@
+const EventEmitter = require('events')
+const Path = require('node:path')
+const FileSystem = require('node:fs')
+const Notifier = require('./notify')
+const config = require('./config')
+const log = require('./log')('breaker')
+
+/**
+ * Stops the bot changing the account if it starts doing far more than it should (eg a bug sends it round in a loop).
+ * Borrows, returns and cancels are counted over a rolling window. If any goes over its limit the breaker trips,
+ * and no more borrows or returns are allowed until the bot is restarted - just as if dryRun were on.
+ *
+ * There is also a kill switch that does the same thing by hand: create the kill file, or send the process SIGUSR2.
+ * Remove the file (or send SIGUSR2 again) to carry on.
+ *
+ * Cancelling offers is always allowed, so nothing the bot has placed is left to fill while it is halted.
+ *
+ * Emits 'halt' (with the reason) when account changes stop, and 'resume' when they can start again
+ */
+class CircuitBreaker extends EventEmitter {
+    constructor() {
+        super()
+
+        // action -> the most allowed in the window (0 for no limit)
+        this.window = config.get('breaker.window', 60 * 60 * 1000)
+        this.limits = {
+            borrow: config.get('breaker.maxBorrows', 0),
+            return: config.get('breaker.maxReturns', 0),
+            cancel: config.get('breaker.maxCancels', 0),
+        }
+
+        // action -> times it happened, oldest first
+        this.history = { borrow: [], return: [], cancel: [] }
+        this.tripped = null
+
+        // the kill switch
+        const killFile = config.get('breaker.killFile', 'data/STOP')
+        this.killFile = killFile ? Path.resolve(killFile) : null
+        this.killSignal = false
+        this.killed = null
+
+        this.notifier = new Notifier()
+        process.on('SIGUSR2', () => {
+            this.killSignal = !this.killSignal
+            log(`SIGUSR2 received. Kill switch ${this.killSignal ? 'on' : 'off'}`)
+            this.checkKillSwitch()
+        })
+
+        // notice the kill file promptly, not just the next time something is attempted
+        this.timer = setInterval(() => this.checkKillSwitch(), 5000)
+        this.timer.unref()
+    }
+
+    /**
+     * Ask to make a change to the account. Counts it if allowed
+     * @param {*} action - borrow or return
+     * @returns true if it can go ahead
+     */
+    allow(action) {
+        if (this.haltedBecause() !== null) {
+            return false
+        }
+
+        return this.record(action, 1)
+    }
+
+    /**
+     * Count some actions that happen anyway (cancels), tripping the breaker if there are too many
+     * @param {*} action
+     * @param {*} count
+     * @returns true if still inside the limit
+     */
+    record(action, count) {
+        const now = Date.now()
+        const times = this.history[action].filter((t) => t > now - this.window)
+        for (let i = 0; i < count; i++) {
+            times.push(now)
+        }
+
+        this.history[action] = times
+        const limit = this.limits[action]
+        if (limit > 0 && times.length > limit) {
+            this.trip(`${times.length} ${action}s in the last ${Math.round(this.window / 60000)} minutes (limit ${limit})`)
+            return false
+        }
+
+        return true
+    }
+
+    /**
+     * Stop all account changes until the bot is restarted
+     * @param {*} reason
+     */
+    trip(reason) {
+        if (this.tripped !== null) {
+            return
+        }
+
+        this.tripped = reason
+        this.notifier.send(`Circuit breaker tripped: ${reason}. No more borrowing or returns until the bot is restarted`)
+        this.emit('halt', reason)
+    }
+
+    /**
+     * Is the kill switch on
+     * @returns
+     */
+    isKilled() {
+        return this.killSignal || (this.killFile !== null && FileSystem.existsSync(this.killFile))
+    }
+
+    /**
+     * See if the kill switch has changed, and tell everyone if it has
+     */
+    checkKillSwitch() {
+        const killed = this.isKilled()
+        if (killed === this.killed) {
+            return
+        }
+
+        const first = this.killed === null
+        this.killed = killed
+        if (killed) {
+            this.notifier.send('Kill switch on. No more borrowing or returns until it is turned off')
+            this.emit('halt', 'kill switch')
+        } else if (!first) {
+            this.notifier.send(this.tripped ? 'Kill switch off, but the circuit breaker is still tripped' : 'Kill switch off. Carrying on')
+            if (!this.tripped) {
+                this.emit('resume')
+            }
+        }
+    }
+
+    /**
+     * Why account changes are halted, or null if they aren't
+     * @returns
+     */
+    haltedBecause() {
+        this.checkKillSwitch()
+        if (this.killed) {
+            return 'kill switch'
+        }
+
+        return this.tripped
+    }
+}
+
+module.exports = CircuitBreaker
@@ -0,0 +1,26 @@
+// Lookup table for the standard CRC32 polynomial
+const table = []
+for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table.push(c >>> 0)
+}
+
+/**
+ * CRC32 of a string, as a signed 32 bit integer (which is how Bitfinex sends its book checksums)
+ * @param {*} str
+ * @returns
+ */
+function crc32(str) {
+    const bytes = Buffer.from(str, 'utf8')
+    let crc = 0xffffffff
+    for (const b of bytes) {
+        crc = table[(crc ^ b) & 0xff] ^ (crc >>> 8)
+    }
+
+    return (crc ^ 0xffffffff) | 0
+}
+
+module.exports = crc32
@@ -0,0 +1,101 @@
+const Path = require('node:path')
+const FileSystem = require('node:fs')
+const log = require('./log')('nonce')
+
+/**
+ * Nonces for authenticating with the exchange. Bitfinex rejects any nonce that isn't bigger than
+ * the last one it saw for the API key, so these always move forward - across restarts (the last one
+ * is saved to disk), across other instances sharing the same file, and if the clock goes backwards.
+ *
+ * Values are microsecond timestamps, so they stay ahead of anything that used milliseconds
+ */
+class NonceProvider {
+    /**
+     * @param {*} file - where to keep the last nonce used. null to keep it in memory only
+     */
+    constructor(file) {
+        this.file = file ? Path.resolve(file) : null
+        this.last = 0
+
+        // how far to jump forward when the exchange says a nonce was too small. Doubles each time in a row
+        this.bumpSize = 60 * 1000 * 1000
+        this.bumps = 0
+
+        if (this.file) {
+            try {
+                FileSystem.mkdirSync(Path.dirname(this.file), { recursive: true })
+            } catch (err) {
+                log(`Unable to create ${Path.dirname(this.file)}: ${err.message}`)
+            }
+        }
+
+        this.last = this.load()
+    }
+
+    /**
+     * The next nonce to use
+     * @returns {string}
+     */
+    next() {
+        // another instance might have moved things on since we last looked
+        const saved = this.load()
+        this.last = Math.max(Date.now() * 1000, this.last + 1, saved + 1)
+        this.save()
+
+        return `${this.last}`
+    }
+
+    /**
+     * The exchange said our nonce was too small, so something else has used a bigger one.
+     * Jump well ahead of where we are
+     */
+    bump() {
+        this.last = Math.max(this.last, Date.now() * 1000) + this.bumpSize * 2 ** this.bumps
+        this.bumps = Math.min(this.bumps + 1, 10)
+        this.save()
+        log(`Nonce rejected as too small. Moved forward to ${this.last}`)
+    }
+
+    /**
+     * A nonce was accepted, so the next bump can start small again
+     */
+    accepted() {
+        this.bumps = 0
+    }
+
+    /**
+     * Read the last nonce saved to disk (0 if there isn't one)
+     * @returns
+     */
+    load() {
+        if (!this.file) {
+            return 0
+        }
+
+        try {
+            const data = JSON.parse(FileSystem.readFileSync(this.file, 'utf8'))
+            return Number(data.nonce) || 0
+        } catch (err) {
+            return 0
+        }
+    }
+
+    /**
+     * Save the last nonce, replacing the file in one go so a crash can't leave half of it behind
+     */
+    save() {
+        if (!this.file) {
+            return
+        }
+
+        try {
+            const tmp = `${this.file}.${process.pid}.tmp`
+            FileSystem.writeFileSync(tmp, JSON.stringify({ nonce: this.last }))
+            FileSystem.renameSync(tmp, this.file)
+        } catch (err) {
+            log(`Unable to save nonce to ${this.file}: ${err.message}`)
+        }
+    }
+}
+
+module.exports = NonceProvider
@@ -0,0 +1,47 @@
+const axios = require('axios')
+const config = require('./config')
+const log = require('./log')('notify')
+
+/**
+ * Tells someone when the bot needs attention. Notifications are always logged (with a bell, if soundOnChange is on)
+ * and, if notify.webhookUrl is set, posted there as JSON ({ text }) - eg to a Slack or Mattermost incoming webhook.
+ * The same message isn't sent again for a while, so a problem that lasts doesn't flood the channel
+ */
+class Notifier {
+    constructor() {
+        this.webhookUrl = config.get('notify.webhookUrl', '')
+        this.repeatAfter = config.get('notify.repeatAfter', 15 * 60 * 1000)
+        this.bell = config.get('soundOnChange') ? ' <bong>\u0007' : ''
+
+        // message -> when it was last sent
+        this.lastSent = new Map()
+    }
+
+    /**
+     * Send a notification, unless the same one went out recently
+     * @param {*} message
+     * @returns {Promise}
+     */
+    async send(message) {
+        const now = Date.now()
+        const last = this.lastSent.get(message)
+        if (last !== undefined && now - last < this.repeatAfter) {
+            return
+        }
+
+        this.lastSent.set(message, now)
+        log(`${message}${this.bell}`)
+
+        if (!this.webhookUrl) {
+            return
+        }
+
+        try {
+            await axios({ method: 'post', url: this.webhookUrl, data: { text: message }, timeout: 10000 })
+        } catch (err) {
+            log(`Unable to send notification to the webhook: ${err.message}`)
+        }
+    }
+}
+
+module.exports = Notifier
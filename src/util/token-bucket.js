@@ -0,0 +1,71 @@
+/**
+ * Token bucket rate limiter. Usage
+ * const bucket = new TokenBucket(90, 60000) // 90 requests a minute
+ *
+ * // wait until we are allowed to make another request
+ * await bucket.take()
+ *
+ * The bucket starts full, so a burst of up to `capacity` requests goes straight through,
+ * after which requests are spaced out at the refill rate
+ */
+class TokenBucket {
+    /**
+     * @param {*} capacity - the most tokens the bucket can hold
+     * @param {*} period - ms it takes to refill the bucket from empty
+     */
+    constructor(capacity, period) {
+        this.capacity = capacity
+        this.refillRate = capacity / period
+        this.tokens = capacity
+        this.lastRefill = Date.now()
+
+        // take() calls waiting their turn, so they are served in order
+        this.queue = Promise.resolve()
+    }
+
+    /**
+     * Wait until a token is available, and take it
+     * @returns {Promise}
+     */
+    async take() {
+        const turn = this.queue.then(() => this.waitForToken())
+        this.queue = turn
+        return turn
+    }
+
+    /**
+     * Throw away all the tokens, so nothing else goes through until the bucket refills
+     * (eg when the exchange tells us we are going too fast anyway)
+     */
+    empty() {
+        this.refill()
+        this.tokens = 0
+    }
+
+    /**
+     * How long until a token will be available (0 if there is one now)
+     * @returns
+     */
+    waitTime() {
+        this.refill()
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillRate)
+    }
+
+    async waitForToken() {
+        let wait = this.waitTime()
+        while (wait > 0) {
+            await new Promise((resolve) => setTimeout(resolve, wait))
+            wait = this.waitTime()
+        }
+
+        this.tokens -= 1
+    }
+
+    refill() {
+        const now = Date.now()
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillRate)
+        this.lastRefill = now
+    }
+}
+
+module.exports = TokenBucket
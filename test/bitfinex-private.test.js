@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const PrivateSocket = require('../src/exchange/bitfinex-private')
+const { NotFoundError } = require('../src/exchange/rest-errors')
+
+// Just enough of a PrivateSocket to return borrows, without connecting to anything
+function fakeSocket(halted, gone = []) {
+    const socket = Object.create(PrivateSocket.prototype)
+    socket.dryRun = false
+    socket.paper = null
+    socket.breaker = { allow: () => !halted, haltedBecause: () => (halted ? 'kill switch' : null) }
+    socket.apiLock = { runLocked: (fn) => fn() }
+    socket.httpCall = async (method, path, body) => {
+        if (gone.includes(body.id)) {
+            throw new NotFoundError('funding: not found')
+        }
+    }
+
+    return socket
+}
+
+describe('PrivateSocket.returnManyBorrows', () => {
+    const borrows = [
+        { id: 1, amount: 100, status: 'ACTIVE' },
+        { id: 2, amount: 200, status: 'ACTIVE' },
+    ]
+
+    it('returns borrows, skipping any that have already gone', async () => {
+        const result = await fakeSocket(false, [2]).returnManyBorrows(borrows)
+
+        assert.deepEqual(
+            result.returned.map((b) => b.id),
+            [1]
+        )
+        assert.deepEqual(
+            result.skipped.map((b) => b.id),
+            [2]
+        )
+        assert.deepEqual(result.deferred, [])
+    })
+
+    it('defers everything while halted, rather than counting it as returned', async () => {
+        const result = await fakeSocket(true).returnManyBorrows(borrows)
+
+        assert.deepEqual(result.returned, [])
+        assert.deepEqual(result.skipped, [])
+        assert.deepEqual(
+            result.deferred.map((b) => b.id),
+            [1, 2]
+        )
+    })
+})
@@ -0,0 +1,41 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const BaseSocket = require('../src/exchange/bitfinex-socket')
+
+describe('BaseSocket reconnect back off', () => {
+    let socket = null
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval'] })
+        socket = new BaseSocket()
+        socket.restartAttempts = 3
+    })
+
+    afterEach(() => {
+        socket.clearTimers()
+        mock.timers.reset()
+    })
+
+    it('keeps backing off while messages arrive on a new connection', async () => {
+        await socket.onOpen()
+        await socket.onMessage('{"event":"info","version":2}')
+
+        assert.equal(socket.restartAttempts, 3)
+    })
+
+    it('starts again once the connection has stayed up', async () => {
+        await socket.onOpen()
+        mock.timers.tick(socket.restartStableAfter)
+
+        assert.equal(socket.restartAttempts, 0)
+    })
+
+    it('keeps backing off if the connection drops before then', async () => {
+        await socket.onOpen()
+        mock.timers.tick(socket.restartStableAfter - 1000)
+        socket.clearTimers()
+        mock.timers.tick(1000)
+
+        assert.equal(socket.restartAttempts, 3)
+    })
+})
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const CircuitBreaker = require('../src/util/circuit-breaker')
+
+describe('CircuitBreaker', () => {
+    let breaker = null
+    let halts = []
+
+    beforeEach(() => {
+        breaker = new CircuitBreaker()
+        breaker.window = 60 * 1000
+        breaker.limits = { borrow: 3, return: 0, cancel: 5 }
+        breaker.killFile = null
+        breaker.notifier = { send: () => {} }
+
+        halts = []
+        breaker.on('halt', (reason) => halts.push(reason))
+    })
+
+    describe('allow', () => {
+        it('allows up to the limit in the window, then trips', () => {
+            assert.equal(breaker.allow('borrow'), true)
+            assert.equal(breaker.allow('borrow'), true)
+            assert.equal(breaker.allow('borrow'), true)
+            assert.equal(halts.length, 0)
+
+            assert.equal(breaker.allow('borrow'), false)
+            assert.equal(halts.length, 1)
+            assert.match(halts[0], /4 borrows in the last 1 minutes \(limit 3\)/)
+        })
+
+        it('refuses everything once tripped, and only says so once', () => {
+            breaker.trip('testing')
+
+            assert.equal(breaker.allow('borrow'), false)
+            assert.equal(breaker.allow('return'), false)
+            breaker.trip('again')
+            assert.deepEqual(halts, ['testing'])
+            assert.equal(breaker.haltedBecause(), 'testing')
+        })
+
+        it('forgets anything older than the window', () => {
+            const old = Date.now() - 2 * 60 * 1000
+            breaker.history.borrow = [old, old, old]
+
+            assert.equal(breaker.allow('borrow'), true)
+            assert.equal(breaker.history.borrow.length, 1)
+        })
+
+        it('never trips on an action with no limit', () => {
+            for (let i = 0; i < 1000; i++) {
+                assert.equal(breaker.allow('return'), true)
+            }
+
+            assert.equal(halts.length, 0)
+        })
+    })
+
+    describe('record', () => {
+        it('counts several at once, and trips when they go over the limit', () => {
+            assert.equal(breaker.record('cancel', 5), true)
+            assert.equal(breaker.haltedBecause(), null)
+
+            assert.equal(breaker.record('cancel', 1), false)
+            assert.match(breaker.haltedBecause(), /6 cancels/)
+        })
+    })
+
+    describe('kill switch', () => {
+        it('halts while on, and resumes when turned off', () => {
+            let resumed = 0
+            breaker.on('resume', () => (resumed += 1))
+            breaker.checkKillSwitch()
+
+            breaker.killSignal = true
+            assert.equal(breaker.allow('borrow'), false)
+            assert.equal(breaker.haltedBecause(), 'kill switch')
+            assert.deepEqual(halts, ['kill switch'])
+
+            breaker.killSignal = false
+            assert.equal(breaker.haltedBecause(), null)
+            assert.equal(resumed, 1)
+            assert.equal(breaker.allow('borrow'), true)
+        })
+
+        it('stays halted when turned off if the breaker has tripped', () => {
+            let resumed = 0
+            breaker.on('resume', () => (resumed += 1))
+            breaker.checkKillSwitch()
+
+            breaker.killSignal = true
+            breaker.checkKillSwitch()
+            breaker.trip('testing')
+            breaker.killSignal = false
+
+            assert.equal(breaker.haltedBecause(), 'testing')
+            assert.equal(resumed, 0)
+        })
+    })
+})
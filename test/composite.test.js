@@ -0,0 +1,59 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const CompositeApp = require('../src/strat/composite')
+const FakeSocket = require('./fake-socket')
+
+describe('CompositeApp', () => {
+    let app = null
+
+    beforeEach(() => {
+        app = new CompositeApp(new FakeSocket())
+    })
+
+    it('builds both parts with its reconciler, reaper, policy and notifier', () => {
+        for (const part of [app.replace, app.target]) {
+            assert.equal(part.reconciler, app.reconciler)
+            assert.equal(part.reaper, app.reaper)
+            assert.equal(part.policy, app.policy)
+            assert.equal(part.notifier, app.notifier)
+        }
+
+        assert.equal(app.reconciler.listenerCount('report'), 1)
+    })
+
+    it('tells both parts when account changes are halted and resumed', () => {
+        const heard = []
+        app.replace.onHalted = (reason) => heard.push(`replace ${reason}`)
+        app.target.onResumed = () => heard.push('target resumed')
+
+        app.socket.emit('halted', 'kill switch')
+        app.socket.emit('resumed')
+
+        assert.deepEqual(heard, ['replace kill switch', 'target resumed'])
+    })
+
+    it('only lets each part replace borrows the other has not claimed', () => {
+        const first = { id: 1, amount: 500, rate: 0.0003 }
+        const second = { id: 2, amount: 500, rate: 0.0002 }
+        app.onUpdateBorrow(first)
+        app.onUpdateBorrow(second)
+
+        app.coordinator.claim('target', [first])
+        assert.deepEqual(app.replace.replaceableBorrows(), [second])
+
+        app.coordinator.unclaim('target', [first])
+        app.coordinator.claim('replace', [second])
+        assert.deepEqual(app.target.replaceableBorrows(), [first])
+    })
+
+    it('retries the returns both parts have held back on the interval', async () => {
+        const retried = []
+        app.replace.retryDeferredReturns = async () => retried.push('replace')
+        app.target.retryDeferredReturns = async () => retried.push('target')
+        app.target.updateOffers = async () => {}
+
+        await app.onTimer()
+
+        assert.deepEqual(retried, ['replace', 'target'])
+    })
+})
@@ -0,0 +1,38 @@
+const EventEmitter = require('events')
+
+/**
+ * Stands in for the connection to the exchange, so an App can be built and driven without one.
+ * Every return succeeds, and the borrows returned are kept in returned
+ */
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super()
+
+        this.paper = null
+        this.halted = null
+        this.returned = []
+    }
+
+    open() {}
+
+    close() {}
+
+    async returnManyBorrows(borrows) {
+        this.returned.push(...borrows)
+        return { returned: borrows, skipped: [], failed: [], deferred: [] }
+    }
+
+    getHealth() {
+        return { connected: true, lastMessageAt: null, reconnectCount: 0 }
+    }
+
+    haltedBecause() {
+        return this.halted
+    }
+
+    paperSummary() {
+        return null
+    }
+}
+
+module.exports = FakeSocket
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const Path = require('node:path')
+const FileSystem = require('node:fs')
+const OS = require('node:os')
+const NonceProvider = require('../src/util/nonce')
+
+describe('NonceProvider', () => {
+    let dir = null
+    let file = null
+
+    beforeEach(() => {
+        dir = FileSystem.mkdtempSync(Path.join(OS.tmpdir(), 'nonce-'))
+        file = Path.join(dir, 'state', 'nonce.json')
+    })
+
+    afterEach(() => {
+        FileSystem.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('always moves forward, even when asked faster than the clock moves', () => {
+        const nonce = new NonceProvider(null)
+        const values = Array.from({ length: 100 }, () => Number(nonce.next()))
+
+        values.slice(1).forEach((v, i) => assert.ok(v > values[i]))
+        assert.ok(values[0] >= Date.now() * 1000 - 1000 * 1000)
+    })
+
+    it('carries on from the last nonce saved by an earlier run', () => {
+        const ahead = Date.now() * 1000 + 1000 * 1000 * 1000
+        FileSystem.mkdirSync(Path.dirname(file), { recursive: true })
+        FileSystem.writeFileSync(file, JSON.stringify({ nonce: ahead }))
+
+        assert.equal(new NonceProvider(file).next(), `${ahead + 1}`)
+    })
+
+    it('saves each nonce, creating the folder it goes in', () => {
+        const value = new NonceProvider(file).next()
+
+        assert.equal(JSON.parse(FileSystem.readFileSync(file, 'utf8')).nonce, Number(value))
+        assert.ok(Number(new NonceProvider(file).next()) > Number(value))
+    })
+
+    it('stays ahead of another instance sharing the file', () => {
+        const first = new NonceProvider(file)
+        const second = new NonceProvider(file)
+
+        const a = Number(first.next())
+        const b = Number(second.next())
+        const c = Number(first.next())
+
+        assert.ok(b > a)
+        assert.ok(c > b)
+    })
+
+    it('ignores a file it can not read', () => {
+        FileSystem.mkdirSync(Path.dirname(file), { recursive: true })
+        FileSystem.writeFileSync(file, 'not json')
+
+        assert.ok(Number(new NonceProvider(file).next()) > 0)
+    })
+
+    it('jumps further ahead each time a nonce is rejected, until one is accepted', () => {
+        const nonce = new NonceProvider(null)
+        const start = Number(nonce.next())
+
+        nonce.bump()
+        const first = nonce.last - start
+        const before = nonce.last
+        nonce.bump()
+        const second = nonce.last - before
+
+        assert.ok(first >= nonce.bumpSize)
+        assert.ok(second >= nonce.bumpSize * 2)
+
+        nonce.accepted()
+        const after = nonce.last
+        nonce.bump()
+        assert.ok(nonce.last - after < nonce.bumpSize * 2)
+    })
+})
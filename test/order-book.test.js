@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const OrderBook = require('../src/exchange/order-book')
+const crc32 = require('../src/util/crc32')
+
+describe('crc32', () => {
+    it('matches the standard check value, as a signed 32 bit integer', () => {
+        // 0xcbf43926
+        assert.equal(crc32('123456789'), -873187034)
+        assert.equal(crc32(''), 0)
+    })
+})
+
+describe('OrderBook.checksum', () => {
+    it('interleaves the best bids and offers as rate:amount, with bid amounts negative', () => {
+        const book = new OrderBook()
+        book.update({ side: 'offer', rate: 0.0002, period: 2, count: 1, amount: 100 })
+        book.update({ side: 'offer', rate: 0.0001, period: 2, count: 1, amount: 50 })
+        book.update({ side: 'bid', rate: 0.00009, period: 2, count: 1, amount: 75 })
+
+        assert.equal(book.checksum(), crc32('0.00009:-75:0.0001:50:0.0002:100'))
+    })
+
+    it('only covers the top 25 levels on each side', () => {
+        const book = new OrderBook()
+        const levels = []
+        for (let i = 1; i <= 26; i++) {
+            book.update({ side: 'offer', rate: i / 100000, period: 2, count: 1, amount: i })
+            levels.push(`${i / 100000}:${i}`)
+        }
+
+        assert.equal(book.checksum(), crc32(levels.slice(0, 25).join(':')))
+    })
+
+    it('changes when a level changes', () => {
+        const book = new OrderBook()
+        book.update({ side: 'offer', rate: 0.0001, period: 2, count: 1, amount: 50 })
+        const before = book.checksum()
+        book.update({ side: 'offer', rate: 0.0001, period: 2, count: 1, amount: 49 })
+
+        assert.notEqual(book.checksum(), before)
+    })
+})
@@ -0,0 +1,106 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const EventEmitter = require('events')
+const PaperTrader = require('../src/exchange/paper-trader')
+const PrivateSocket = require('../src/exchange/bitfinex-private')
+
+// Just enough of a PrivateSocket for the paper trader to emit events from, using the real conversions
+class Socket extends EventEmitter {
+    constructor() {
+        super()
+        this.symbol = 'fUSD'
+        this.events = []
+        const emit = this.emit.bind(this)
+        this.emit = (event, item) => {
+            this.events.push({ event, item })
+            return emit(event, item)
+        }
+    }
+}
+;['rawToTrade', 'rawToBorrow', 'rawToFundingOrder', 'msToHuman'].forEach((m) => {
+    Socket.prototype[m] = PrivateSocket.prototype[m]
+})
+
+describe('PaperTrader', () => {
+    let socket = null
+    let paper = null
+
+    const level = (rate, period, amount) => ({ side: 'offer', rate, period, count: 1, amount })
+    const events = (name) => socket.events.filter((e) => e.event === name).map((e) => e.item)
+
+    beforeEach(() => {
+        socket = new Socket()
+        paper = new PaperTrader(socket)
+    })
+
+    it('fills an offer from the cheapest levels first', () => {
+        socket.emit('update-offer', level(0.0002, 2, 100))
+        socket.emit('update-offer', level(0.0001, 2, 100))
+
+        const id = paper.borrowFunds(150, 0.0002)
+
+        assert.deepEqual(
+            events('update-borrow').map((b) => [b.amount, b.rate]),
+            [
+                [100, 0.0001],
+                [50, 0.0002],
+            ]
+        )
+        assert.deepEqual(
+            events('execute-trade').map((t) => t.offerId),
+            [id, id]
+        )
+        assert.equal(events('cancel-order')[0].id, id)
+        assert.equal(paper.orders.length, 0)
+    })
+
+    it('leaves levels above the rate, or for a shorter period, alone', () => {
+        socket.emit('update-offer', level(0.0003, 2, 100))
+        socket.emit('update-offer', level(0.0001, 2, 40))
+        socket.emit('update-offer', level(0.00005, 1, 100))
+
+        paper.borrowFunds(150, 0.0002)
+
+        assert.deepEqual(
+            events('update-borrow').map((b) => b.amount),
+            [40]
+        )
+        assert.equal(events('update-order').at(-1).amountRemaining, -110)
+        assert.equal(paper.orders.length, 1)
+    })
+
+    it('does not fill from the same part of a level twice', () => {
+        socket.emit('update-offer', level(0.0001, 2, 100))
+
+        paper.borrowFunds(80, 0.0001)
+        paper.borrowFunds(80, 0.0001)
+
+        assert.deepEqual(
+            events('update-borrow').map((b) => b.amount),
+            [80, 20]
+        )
+    })
+
+    it('fills open offers as cheaper levels arrive', () => {
+        const id = paper.borrowFunds(50, 0.0001)
+        assert.equal(events('update-borrow').length, 0)
+
+        socket.emit('update-offer', level(0.0001, 2, 100))
+
+        assert.equal(events('execute-trade')[0].offerId, id)
+        assert.equal(paper.orders.length, 0)
+    })
+
+    it('makes up ids that can not clash with real ones', () => {
+        socket.emit('update-offer', level(0.0001, 2, 100))
+        paper.onRealBorrow({ id: 1, amount: 100, rate: 0.0002 }, 'update')
+
+        const id = paper.borrowFunds(50, 0.0001)
+        const borrow = events('update-borrow').at(-1)
+
+        assert.ok(id < 0)
+        assert.ok(borrow.id < 0)
+        assert.notEqual(borrow.id, id)
+        assert.equal(paper.borrows.size, 2)
+    })
+})
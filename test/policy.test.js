@@ -0,0 +1,63 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { BorrowPolicy } = require('../src/strat/policy')
+
+// daily rates for a given APR
+const daily = (apr) => apr / 365 / 100
+
+describe('BorrowPolicy.check', () => {
+    let policy = null
+    const borrows = [
+        { id: 1, amount: 1000, rate: daily(10) },
+        { id: 2, amount: 500, rate: daily(20) },
+    ]
+
+    beforeEach(() => {
+        policy = new BorrowPolicy()
+        policy.maxApr = 0
+        policy.maxOutstanding = 0
+        policy.dailyBudget = 0
+    })
+
+    it('allows anything when every limit is off', () => {
+        assert.equal(policy.check(borrows, 1000000, daily(500)), null)
+        assert.equal(policy.check(borrows, 100, null), null)
+    })
+
+    it('refuses a rate over maxApr', () => {
+        policy.maxApr = 50
+        assert.equal(policy.check(borrows, 100, daily(49)), null)
+        assert.match(policy.check(borrows, 100, daily(51)), /over the 50% APR limit/)
+    })
+
+    it('refuses when the rate is unknown and a rate limit is set', () => {
+        policy.maxApr = 50
+        assert.match(policy.check(borrows, 100, null), /unable to tell/)
+
+        policy.maxApr = 0
+        policy.dailyBudget = 10
+        assert.match(policy.check(borrows, 100, null), /unable to tell/)
+    })
+
+    it('refuses going over maxOutstanding, counting what is left on open offers', () => {
+        policy.maxOutstanding = 2000
+        assert.equal(policy.check(borrows, 500, daily(10)), null)
+        assert.match(policy.check(borrows, 501, daily(10)), /over the 2000 limit/)
+
+        const offers = [{ amountRemaining: -300, rate: daily(10) }]
+        assert.equal(policy.check(borrows, 200, daily(10), offers), null)
+        assert.match(policy.check(borrows, 201, daily(10), offers), /2001.00 would be borrowed/)
+    })
+
+    it('refuses going over the daily budget, counting what is left on open offers', () => {
+        // 1000 @ 10% and 500 @ 20% is 0.5479 a day
+        const current = 1000 * daily(10) + 500 * daily(20)
+        policy.dailyBudget = current + 1000 * daily(10)
+
+        assert.equal(policy.check(borrows, 1000, daily(10)), null)
+        assert.match(policy.check(borrows, 1000, daily(11)), /over the daily budget/)
+
+        const offers = [{ amountRemaining: -100, rate: daily(10) }]
+        assert.match(policy.check(borrows, 1000, daily(10), offers), /over the daily budget/)
+    })
+})
@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const Path = require('node:path')
+const FileSystem = require('node:fs')
+const OS = require('node:os')
+const RateHistory = require('../src/strat/rate-history')
+
+describe('RateHistory', () => {
+    const hour = 60 * 60 * 1000
+
+    it('takes at most one sample per source each interval', () => {
+        const history = new RateHistory(hour, 1000)
+        const now = Date.now()
+
+        assert.ok(history.add(0.0001, 'book', now))
+        assert.ok(!history.add(0.0002, 'book', now + 500))
+        assert.ok(history.add(0.0003, 'trades', now + 500))
+        assert.ok(history.add(0.0004, 'book', now + 1000))
+        assert.equal(history.size(), 3)
+    })
+
+    it('works out percentiles of the rates seen', () => {
+        const history = new RateHistory(hour, 0)
+        ;[5, 1, 4, 2, 3].forEach((r, i) => history.add(r / 10000, 'rate', Date.now() + i))
+
+        assert.equal(history.percentile(0), 0.0001)
+        assert.equal(history.percentile(20), 0.0001)
+        assert.equal(history.percentile(50), 0.0003)
+        assert.equal(history.percentile(100), 0.0005)
+        assert.equal(new RateHistory(hour, 0).percentile(50), null)
+    })
+
+    it('drops samples that have left the window, even when they arrive out of order', () => {
+        const history = new RateHistory(hour, 0)
+        const now = Date.now()
+        history.add(0.0001, 'book', now - 1000)
+        history.add(0.0002, 'trades', now - 2 * hour)
+        history.add(0.0003, 'book', now)
+
+        assert.equal(history.size(), 2)
+        assert.ok(history.span() >= 1000 && history.span() < hour)
+    })
+
+    describe('saved to a file', () => {
+        let dir = null
+        let file = null
+
+        beforeEach(() => {
+            dir = FileSystem.mkdtempSync(Path.join(OS.tmpdir(), 'rates-'))
+            file = Path.join(dir, 'rates.json')
+        })
+
+        afterEach(() => {
+            FileSystem.rmSync(dir, { recursive: true, force: true })
+        })
+
+        it('saves the samples, and loads back those still inside the window', () => {
+            const now = Date.now()
+            FileSystem.writeFileSync(file, JSON.stringify({ samples: [[now - 2 * hour, 0.0001, 'book']] }))
+            const history = new RateHistory(hour, 0, file)
+            assert.equal(history.size(), 0)
+
+            history.add(0.0002, 'book', now)
+            history.save()
+
+            const loaded = new RateHistory(hour, 0, file)
+            assert.deepEqual(loaded.samples, [{ at: now, rate: 0.0002, source: 'book' }])
+        })
+    })
+})
@@ -0,0 +1,54 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const RawOrderBook = require('../src/exchange/raw-order-book')
+
+describe('RawOrderBook', () => {
+    let book = null
+    const offer = (id, rate, period, amount) => ({ id, side: 'offer', rate, period, amount })
+
+    beforeEach(() => {
+        book = new RawOrderBook()
+        book.update(offer(3, 0.0001, 2, 100))
+        book.update(offer(1, 0.0001, 2, 50))
+        book.update(offer(2, 0.0001, 30, 200))
+        book.update(offer(4, 0.0002, 2, 300))
+        book.update({ id: 5, side: 'bid', rate: 0.00009, period: 2, amount: 500 })
+    })
+
+    it('orders offers cheapest first, then longest period, then oldest', () => {
+        assert.deepEqual(
+            book.offers().map((o) => o.id),
+            [2, 1, 3, 4]
+        )
+    })
+
+    it('finds the offers a bid would fill against, in order', () => {
+        assert.deepEqual(
+            book.matchesFor(220, 0.0001).map((o) => o.id),
+            [2, 1]
+        )
+        assert.deepEqual(
+            book.matchesFor(1000, 0.0001).map((o) => o.id),
+            [2, 1, 3]
+        )
+    })
+
+    it('keeps up with offers changing and going', () => {
+        book.update(offer(2, 0.0003, 30, 200))
+        book.remove(offer(1))
+
+        assert.deepEqual(
+            book.offers().map((o) => o.id),
+            [3, 4, 2]
+        )
+        assert.equal(book.countAtRate(0.0001), 1)
+        assert.ok(!book.has(1))
+    })
+
+    it('only counts offers long enough', () => {
+        assert.deepEqual(
+            book.offersAtOrBelow(0.0002, 7).map((o) => o.id),
+            [2]
+        )
+    })
+})
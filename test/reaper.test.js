@@ -0,0 +1,113 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const App = require('../src/strat/app')
+const Reaper = require('../src/strat/reaper')
+const FakeSocket = require('./fake-socket')
+
+const minute = 60 * 1000
+
+describe('Reaper.run', () => {
+    let app = null
+    let reaper = null
+    const old = Date.now() - 60 * minute
+
+    beforeEach(() => {
+        app = new App(new FakeSocket())
+        app.symbol = 'fUSD'
+        app.pauseUntil = 0
+        app.bookReady = true
+        app.pendingSnapshots.clear()
+
+        // positions need 1000
+        app.onUpdatePosition({ id: 1, symbol: 'tBTCUSD', status: 'active', amount: 0.05, basePrice: 20000 })
+
+        reaper = new Reaper(app)
+        reaper.grace = 10 * minute
+        reaper.startAbove = 0.1
+        reaper.keep = 0.03
+        reaper.minAmount = 50
+    })
+
+    // borrow 1000 to cover the position, plus the given surplus borrows
+    function borrow(...surplus) {
+        app.onUpdateBorrow({ id: 100, amount: 1000, rate: 0.0001, createdAt: old })
+        surplus.forEach((b) => app.onUpdateBorrow({ createdAt: old, ...b }))
+    }
+
+    // run once to notice the surplus, then again once the grace period is over
+    async function runAfterGrace() {
+        await reaper.run()
+        reaper.surplusSince -= reaper.grace
+        await reaper.run()
+    }
+
+    it('does nothing while the surplus is under startAbove', async () => {
+        borrow({ id: 1, amount: 90, rate: 0.0003 })
+        await runAfterGrace()
+
+        assert.equal(reaper.surplusSince, null)
+        assert.deepEqual(app.socket.returned, [])
+    })
+
+    it('waits out the grace period before returning anything', async () => {
+        borrow({ id: 1, amount: 300, rate: 0.0003 })
+        await reaper.run()
+
+        assert.notEqual(reaper.surplusSince, null)
+        assert.deepEqual(app.socket.returned, [])
+    })
+
+    it('returns the most expensive first, down to keep', async () => {
+        // surplus of 400, so up to 370 can go
+        borrow({ id: 1, amount: 200, rate: 0.0002 }, { id: 2, amount: 150, rate: 0.0003 }, { id: 3, amount: 50, rate: 0.0001 })
+        await runAfterGrace()
+
+        assert.deepEqual(
+            app.socket.returned.map((b) => b.id),
+            [2, 1]
+        )
+        assert.equal(reaper.surplusSince, null)
+    })
+
+    it('skips borrows too big for what is left, and carries on with smaller ones', async () => {
+        // surplus of 500, so up to 470 can go
+        borrow({ id: 1, amount: 300, rate: 0.0003 }, { id: 2, amount: 200, rate: 0.0002 }, { id: 3, amount: 150, rate: 0.00015 })
+        app.onCancelBorrow({ id: 100 })
+        app.onUpdateBorrow({ id: 100, amount: 850, rate: 0.0001, createdAt: old })
+        await runAfterGrace()
+
+        assert.deepEqual(
+            app.socket.returned.map((b) => b.id),
+            [1, 3]
+        )
+    })
+
+    it('never returns borrows younger than the grace period', async () => {
+        borrow({ id: 1, amount: 300, rate: 0.0003, createdAt: Date.now() }, { id: 2, amount: 200, rate: 0.0002 })
+        await runAfterGrace()
+
+        assert.deepEqual(
+            app.socket.returned.map((b) => b.id),
+            [2]
+        )
+    })
+
+    it('does nothing while account changes are halted', async () => {
+        borrow({ id: 1, amount: 300, rate: 0.0003 })
+        app.socket.halted = 'kill switch'
+        await runAfterGrace()
+
+        assert.deepEqual(app.socket.returned, [])
+    })
+
+    it('leaves alone borrows something else is replacing', async () => {
+        borrow({ id: 1, amount: 300, rate: 0.0003 }, { id: 2, amount: 200, rate: 0.0002 })
+        app.replaceableBorrows = () => app.borrows.filter((b) => b.id !== 1)
+        await runAfterGrace()
+
+        assert.deepEqual(
+            app.socket.returned.map((b) => b.id),
+            [2]
+        )
+    })
+})
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const EventEmitter = require('events')
+const Reconciler = require('../src/strat/reconciler')
+
+const sameAmount = (a, b) => a.amount === b.amount
+
+// An app that just records what the reconciler tells it
+function fakeApp(borrows) {
+    const app = { socket: new EventEmitter(), borrows, orders: [], updated: [], cancelled: [] }
+    app.onUpdateBorrow = (b) => app.updated.push(b.id)
+    app.onCancelBorrow = (b) => app.cancelled.push(b.id)
+    return app
+}
+
+describe('Reconciler.diff', () => {
+    const reconciler = new Reconciler(fakeApp([]), 0)
+
+    it('finds nothing when both sides agree', () => {
+        const known = [
+            { id: 1, amount: 100 },
+            { id: 2, amount: 200 },
+        ]
+        const actual = [
+            { id: 2, amount: 200 },
+            { id: 1, amount: 100 },
+        ]
+
+        assert.deepEqual(reconciler.diff(known, actual, sameAmount), { missing: [], changed: [], stale: [] })
+    })
+
+    it('finds what is missing, changed and stale', () => {
+        const known = [
+            { id: 1, amount: 100 },
+            { id: 2, amount: 200 },
+            { id: 3, amount: 300 },
+        ]
+        const actual = [
+            { id: 1, amount: 100 },
+            { id: 2, amount: 250 },
+            { id: 4, amount: 400 },
+        ]
+
+        const result = reconciler.diff(known, actual, sameAmount)
+        assert.deepEqual(
+            result.missing.map((i) => i.id),
+            [4]
+        )
+        assert.deepEqual(result.changed, [{ id: 2, amount: 250 }])
+        assert.deepEqual(
+            result.stale.map((i) => i.id),
+            [3]
+        )
+    })
+
+    it('treats everything as missing or stale when one side is empty', () => {
+        const items = [{ id: 1, amount: 100 }]
+
+        assert.deepEqual(reconciler.diff([], items, sameAmount).missing, items)
+        assert.deepEqual(reconciler.diff(items, [], sameAmount).stale, items)
+    })
+})
+
+describe('Reconciler.reconcileBorrows', () => {
+    it('corrects the app and summarises the drift', () => {
+        const app = fakeApp([
+            { id: 1, amount: 100, rate: 0.0002, type: 'using' },
+            { id: 2, amount: 200, rate: 0.0002, type: 'using' },
+        ])
+        const reconciler = new Reconciler(app, 0)
+
+        const report = reconciler.reconcileBorrows([
+            { id: 1, amount: 100, rate: 0.0002, type: 'unused' },
+            { id: 3, amount: 300, rate: 0.0002, type: 'using' },
+        ])
+
+        assert.deepEqual(app.updated.sort(), [1, 3])
+        assert.deepEqual(app.cancelled, [2])
+        assert.deepEqual(report, { missing: [3], changed: [1], stale: [2], drift: 3 })
+    })
+})
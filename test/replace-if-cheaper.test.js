@@ -0,0 +1,69 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const ReplaceIfCheaperApp = require('../src/strat/replace-if-cheaper')
+const FakeSocket = require('./fake-socket')
+
+describe('ReplaceIfCheaperApp slicing', () => {
+    let app = null
+    let sliced = null
+    let whole = null
+
+    beforeEach(() => {
+        app = new ReplaceIfCheaperApp(new FakeSocket())
+        app.symbol = 'fUSD'
+        app.breakEven = false
+        app.offerPeriod = 2
+        app.maxSlice = 500
+
+        sliced = []
+        whole = []
+        app.replaceInSlices = async (borrows, size) => sliced.push({ borrows, size })
+        app.replaceBorrowing = async (amount, rate, borrows) => whole.push(borrows)
+        app.paysOff = () => true
+        app.isPaused = () => false
+
+        // 1500 borrowed at 0.0003, in three borrows
+        ;[1, 2, 3].forEach((id) => app.onUpdateBorrow({ id, amount: 500, rate: 0.0003 }))
+    })
+
+    it('starts slicing when the first slice is available, even if the rest is not', () => {
+        app.book.update({ side: 'offer', rate: 0.0001, period: 2, count: 1, amount: 600 })
+        app.replaceBorrowingIfCheaper()
+
+        assert.equal(sliced.length, 1)
+        assert.equal(sliced[0].borrows.length, 3)
+        assert.equal(sliced[0].size, 500)
+    })
+
+    it('does not slice when there is not enough for the first slice', () => {
+        app.book.update({ side: 'offer', rate: 0.0001, period: 2, count: 1, amount: 400 })
+        app.replaceBorrowingIfCheaper()
+
+        assert.equal(sliced.length, 0)
+        assert.equal(whole.length, 0)
+    })
+
+    it('replaces what it can in one go with the default settings', () => {
+        app.maxSlice = 0
+        app.book.update({ side: 'offer', rate: 0.0001, period: 2, count: 1, amount: 600 })
+        app.replaceBorrowingIfCheaper()
+
+        assert.equal(sliced.length, 0)
+        assert.deepEqual(
+            whole.map((borrows) => borrows.length),
+            [1]
+        )
+    })
+
+    it('is ready to slice again after slicing fails', async () => {
+        app.replaceInSlices = async () => {
+            app.slicing = true
+            throw new Error('no')
+        }
+        app.book.update({ side: 'offer', rate: 0.0001, period: 2, count: 1, amount: 600 })
+        app.replaceBorrowingIfCheaper()
+        await new Promise((resolve) => setImmediate(resolve))
+
+        assert.equal(app.slicing, false)
+    })
+})
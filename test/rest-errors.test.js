@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const PrivateSocket = require('../src/exchange/bitfinex-private')
+const {
+    classifyError,
+    NetworkError,
+    ServerError,
+    RateLimitError,
+    NonceError,
+    AuthError,
+    NotFoundError,
+    RequestError,
+} = require('../src/exchange/rest-errors')
+
+// an error in the shape axios throws
+function httpError(status, data) {
+    const error = new Error(`Request failed with status code ${status}`)
+    error.response = { status, data }
+    return error
+}
+
+describe('classifyError', () => {
+    const cases = [
+        ['no response', Object.assign(new Error('timeout'), { code: 'ECONNRESET' }), NetworkError, true],
+        ['a 429', httpError(429, 'Too Many Requests'), RateLimitError, true],
+        ['a rate limit message', httpError(500, ['error', 11010, 'ratelimit: error']), RateLimitError, true],
+        ['a small nonce', httpError(500, ['error', 10114, 'nonce: small']), NonceError, false],
+        ['a bad api key', httpError(500, ['error', 10100, 'apikey: invalid']), AuthError, false],
+        ['a missing permission', httpError(500, ['error', 10100, 'apikey: no permission']), AuthError, false],
+        ['a 403', httpError(403, 'Forbidden'), AuthError, false],
+        ['a missing borrow', httpError(500, ['error', 10001, 'funding: not found']), NotFoundError, false],
+        ['maintenance', httpError(500, ['error', 20060, 'maintenance']), ServerError, true],
+        ['a proxy error', httpError(502, '<html>Bad Gateway</html>'), ServerError, true],
+        ['anything else from the exchange', httpError(500, ['error', 10020, 'amount: invalid']), RequestError, false],
+    ]
+
+    cases.forEach(([name, error, type, retryable]) => {
+        it(`treats ${name} as ${type.name}`, () => {
+            const err = classifyError(error, '/v2/auth/w/funding/close')
+
+            assert.ok(err instanceof type)
+            assert.equal(err.retryable, retryable)
+            assert.equal(err.path, '/v2/auth/w/funding/close')
+        })
+    })
+
+    it('keeps the status and exchange error code', () => {
+        const err = classifyError(httpError(500, ['error', 10100, 'apikey: invalid']))
+
+        assert.equal(err.status, 500)
+        assert.equal(err.code, 10100)
+        assert.match(err.message, /apikey: invalid/)
+    })
+
+    it('passes errors that are already classified straight through', () => {
+        const err = new NotFoundError('funding: not found')
+        assert.equal(classifyError(err), err)
+    })
+})
+
+describe('PrivateSocket.httpCall', () => {
+    // Just enough of a PrivateSocket to make REST calls. Each call to the exchange takes the next response
+    function fakeSocket(responses) {
+        const socket = Object.create(PrivateSocket.prototype)
+        socket.key = 'key'
+        socket.secret = 'secret'
+        socket.restRetries = 2
+        socket.restRetryDelay = 0
+        socket.bumps = 0
+        socket.emptied = 0
+        socket.calls = 0
+        socket.nonce = { accepted: () => {}, bump: () => (socket.bumps += 1) }
+        socket.rateLimitBucket = () => ({ take: async () => {}, empty: () => (socket.emptied += 1) })
+        socket.sendRequest = async () => {
+            const response = responses[socket.calls]
+            socket.calls += 1
+            if (response instanceof Error) {
+                throw response
+            }
+
+            return response
+        }
+
+        return socket
+    }
+
+    it('retries errors that might go away', async () => {
+        const socket = fakeSocket([httpError(502, 'Bad Gateway'), httpError(429, 'Too Many Requests'), ['ok']])
+
+        assert.deepEqual(await socket.httpCall('post', '/v2/auth/r/funding/credits/fUSD'), ['ok'])
+        assert.equal(socket.calls, 3)
+        assert.equal(socket.emptied, 1)
+    })
+
+    it('gives up after restRetries', async () => {
+        const socket = fakeSocket([httpError(502, ''), httpError(502, ''), httpError(502, ''), ['ok']])
+
+        await assert.rejects(socket.httpCall('post', '/v2/auth/r/funding/credits/fUSD'), ServerError)
+        assert.equal(socket.calls, 3)
+    })
+
+    it('throws errors that retrying will not fix straight away', async () => {
+        const socket = fakeSocket([httpError(500, ['error', 10100, 'apikey: invalid']), ['ok']])
+
+        await assert.rejects(socket.httpCall('post', '/v2/auth/r/funding/credits/fUSD'), AuthError)
+        assert.equal(socket.calls, 1)
+    })
+
+    it('moves the nonce on and tries again when it is too small', async () => {
+        const socket = fakeSocket([httpError(500, ['error', 10114, 'nonce: small']), ['ok']])
+
+        assert.deepEqual(await socket.httpCall('post', '/v2/auth/r/funding/credits/fUSD'), ['ok'])
+        assert.equal(socket.bumps, 1)
+    })
+})
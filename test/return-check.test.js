@@ -0,0 +1,84 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const App = require('../src/strat/app')
+const FakeSocket = require('./fake-socket')
+
+describe('App.checkReturns', () => {
+    let app = null
+    const expensive = { id: 1, amount: 600, rate: 0.0003 }
+    const middle = { id: 2, amount: 500, rate: 0.0002 }
+    const cheap = { id: 3, amount: 400, rate: 0.0001 }
+
+    beforeEach(() => {
+        app = new App(new FakeSocket())
+        app.symbol = 'fUSD'
+        app.returnCheck = true
+        app.returnBuffer = 0
+
+        // a 2000 USD position, half covered by the margin wallet, so 1000 needs borrowing
+        app.onUpdatePosition({ id: 1, symbol: 'tBTCUSD', status: 'active', amount: 0.1, basePrice: 20000 })
+        app.onUpdateWallet({ type: 'margin', currency: 'USD', balance: 1000 })
+        ;[expensive, middle, cheap].forEach((b) => app.onUpdateBorrow(b))
+    })
+
+    it('works out the funding positions need beyond the margin wallet', () => {
+        assert.equal(app.fundingRequired(), 1000)
+    })
+
+    it('allows returns that leave positions covered, and defers the rest', () => {
+        const allowed = app.checkReturns([expensive, cheap])
+
+        assert.deepEqual(allowed, [cheap])
+        assert.deepEqual(Array.from(app.deferredReturns.keys()), [1])
+    })
+
+    it('counts earlier returns in the same batch', () => {
+        // 1500 borrowed. Returning 400 leaves 1100, then another 500 would leave 600
+        assert.deepEqual(app.checkReturns([cheap, middle]), [cheap])
+    })
+
+    it('adds the buffer to what positions need', () => {
+        app.returnBuffer = 200
+        assert.deepEqual(app.checkReturns([cheap]), [])
+    })
+
+    it('counts what is still to fill on our offers', () => {
+        // 1500 borrowed and 300 to come. Returning 600 leaves 1200
+        app.onNewOrder({ id: 99, amount: -500, amountRemaining: -300, rate: 0.0001 })
+        assert.deepEqual(app.checkReturns([expensive, middle]), [expensive])
+    })
+
+    it('only counts borrowing that has arrived when countUnfilled is off', () => {
+        app.countUnfilled = false
+        app.onNewOrder({ id: 99, amount: -5000, amountRemaining: -5000, rate: 0.0001 })
+        assert.deepEqual(app.checkReturns([expensive]), [])
+    })
+
+    it('always allows borrows it does not know about, as they have gone already', () => {
+        const unknown = { id: 42, amount: 5000, rate: 0.0003 }
+        assert.deepEqual(app.checkReturns([unknown]), [unknown])
+    })
+
+    it('allows everything when turned off', () => {
+        app.returnCheck = false
+        assert.deepEqual(app.checkReturns([expensive, middle, cheap]), [expensive, middle, cheap])
+    })
+
+    it('forgets a deferred return once it is allowed', () => {
+        app.checkReturns([expensive])
+        assert.equal(app.deferredReturns.size, 1)
+
+        app.onUpdateBorrow({ id: 4, amount: 1000, rate: 0.0001 })
+        assert.deepEqual(app.checkReturns([expensive]), [expensive])
+        assert.equal(app.deferredReturns.size, 0)
+    })
+
+    it('keeps returns stopped by the circuit breaker to try again later', async () => {
+        app.socket.returnManyBorrows = async (borrows) => ({ returned: [], skipped: [], failed: [], deferred: borrows })
+
+        const result = await app.returnManyBorrows([cheap])
+        assert.deepEqual(result.deferred, [cheap])
+        assert.deepEqual(result.returned, [])
+        assert.deepEqual(Array.from(app.deferredReturns.keys()), [3])
+    })
+})
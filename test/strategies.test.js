@@ -0,0 +1,36 @@
+const { describe, it, after } = require('node:test')
+const assert = require('node:assert/strict')
+const config = require('../src/util/config')
+const appFactory = require('../src/strat')
+const { registerStrategy, App } = require('../src/strat')
+const FakeSocket = require('./fake-socket')
+
+describe('registerStrategy', () => {
+    const strategy = config.all.strategy
+
+    after(() => {
+        config.all.strategy = strategy
+    })
+
+    it('builds a registered strategy when the config names it', () => {
+        class MyStrategy extends App {}
+        registerStrategy('test-mine', MyStrategy)
+        config.all.strategy = 'test-mine'
+
+        const socket = new FakeSocket()
+        const app = appFactory(socket)
+
+        assert.ok(app instanceof MyStrategy)
+        assert.equal(app.socket, socket)
+    })
+
+    it('refuses things that are not strategies', () => {
+        assert.throws(() => registerStrategy('test-bad', {}), /must be a class that extends App/)
+        assert.throws(() => registerStrategy('test-bad', class {}), /is missing start, stop/)
+    })
+
+    it('names the strategies it knows when the config asks for another', () => {
+        config.all.strategy = 'test-unknown'
+        assert.throws(() => appFactory(new FakeSocket()), /Unknown strategy 'test-unknown'. Use one of replace, target/)
+    })
+})
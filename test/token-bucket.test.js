@@ -0,0 +1,61 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const TokenBucket = require('../src/util/token-bucket')
+
+describe('TokenBucket', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 })
+    })
+
+    afterEach(() => {
+        mock.timers.reset()
+    })
+
+    // let queued promises run, without moving the clock
+    const settle = () => new Promise((resolve) => setImmediate(resolve))
+
+    it('lets a burst up to the capacity straight through', async () => {
+        const bucket = new TokenBucket(3, 3000)
+        await bucket.take()
+        await bucket.take()
+        await bucket.take()
+
+        assert.equal(bucket.waitTime(), 1000)
+    })
+
+    it('spaces requests out at the refill rate once empty, in the order they were made', async () => {
+        const bucket = new TokenBucket(1, 1000)
+        const done = []
+        ;[1, 2, 3].forEach((n) => bucket.take().then(() => done.push(n)))
+
+        await settle()
+        assert.deepEqual(done, [1])
+
+        mock.timers.tick(1000)
+        await settle()
+        assert.deepEqual(done, [1, 2])
+
+        mock.timers.tick(999)
+        await settle()
+        assert.deepEqual(done, [1, 2])
+
+        mock.timers.tick(1)
+        await settle()
+        assert.deepEqual(done, [1, 2, 3])
+    })
+
+    it('never refills past the capacity', () => {
+        const bucket = new TokenBucket(2, 1000)
+        mock.timers.tick(10000)
+        bucket.refill()
+
+        assert.equal(bucket.tokens, 2)
+    })
+
+    it('holds everything back until it refills once emptied', () => {
+        const bucket = new TokenBucket(10, 10000)
+        bucket.empty()
+
+        assert.equal(bucket.waitTime(), 1000)
+    })
+})